@@ -1,16 +1,20 @@
 const { App } = require('@slack/bolt');
 const axios = require('axios');
 const FormData = require('form-data');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
 // -------------------------------------------------------------
-// In-memory conversation sessions (per Slack thread)
+// Conversation sessions (per Slack thread)
 // -------------------------------------------------------------
+// `sessions` is the hot in-memory cache; every write goes through saveSession() so the
+// thread can be resumed from `sessionStore` after a restart or after memory eviction.
 const sessions = {};
 const recentRequests = new Map();
 const REQUEST_DEDUP_TTL_MS = 15000;
-const SESSION_TTL_MS = 45 * 60 * 1000; // 45 minutes
+const SESSION_TTL_MS = 45 * 60 * 1000; // 45 minutes (in-memory cache)
+const SESSION_PERSIST_TTL_MS = readEnvNumber('SESSION_PERSIST_TTL_MS', 14 * 24 * 60 * 60 * 1000); // 14 days (store)
 const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
 const KEYWORD_SEARCH_CONCURRENCY = 6; // limit concurrent keyword searches
 // Simple in-memory cache for shared-voices queries
@@ -21,6 +25,284 @@ const SHARED_VOICES_CACHE_TTL_MS = 7 * 60 * 1000; // 7 minutes
 const keywordTranslateCache = new Map(); // key -> { at:number, iso2:string, src:string, out:string[] }
 const KEYWORD_TRANSLATE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
 
+// ElevenLabs API root; override (ELEVENLABS_API_BASE_URL) to go through a proxy or a local mock server.
+const ELEVENLABS_API_BASE_URL = (process.env.ELEVENLABS_API_BASE_URL || 'https://api.elevenlabs.io').replace(/\/+$/, '');
+
+// -------------------------------------------------------------
+// Pluggable key/value stores (memory, JSON files, SQLite)
+// -------------------------------------------------------------
+// All backends expose the same synchronous API:
+//   get(key) -> value|null, set(key, value), delete(key), entries() -> [[key, value]], prune(maxAgeMs)
+// Values must be JSON-serializable; every backend returns copies, never live references.
+//
+// Env:
+// - SESSION_STORE=memory|file|sqlite (default: file)
+// - DATA_DIR=/path (default: ./data next to index.js) – file backend dirs + SQLite database
+// - SQLITE_PATH=/path/to/voices-bot.sqlite (default: DATA_DIR/voices-bot.sqlite)
+//
+// The SQLite backend needs the optional `better-sqlite3` dependency; if it can't be loaded
+// we log once and fall back to memory so the bot still boots.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+
+class MemoryStore {
+  constructor(namespace) {
+    this.namespace = namespace;
+    this.kind = 'memory';
+    this.map = new Map(); // key -> { updatedAt:number, json:string }
+  }
+
+  get(key) {
+    const hit = this.map.get(String(key));
+    return hit ? JSON.parse(hit.json) : null;
+  }
+
+  set(key, value) {
+    this.map.set(String(key), { updatedAt: Date.now(), json: JSON.stringify(value) });
+  }
+
+  delete(key) {
+    this.map.delete(String(key));
+  }
+
+  entries() {
+    return Array.from(this.map.entries()).map(([k, hit]) => [k, JSON.parse(hit.json)]);
+  }
+
+  prune(maxAgeMs) {
+    const now = Date.now();
+    let removed = 0;
+    for (const [k, hit] of this.map.entries()) {
+      if (now - (hit.updatedAt || 0) > maxAgeMs) {
+        this.map.delete(k);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+class JsonFileStore {
+  constructor(namespace, opts = {}) {
+    this.namespace = namespace;
+    this.kind = 'file';
+    this.dir = path.join(opts.dataDir || DATA_DIR, namespace);
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  _fileForKey(key) {
+    // Readable prefix + short hash: keeps names filesystem-safe and collision-free.
+    const k = String(key);
+    const safe = k.replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 80);
+    const hash = crypto.createHash('sha1').update(k).digest('hex').slice(0, 10);
+    return path.join(this.dir, `${safe}-${hash}.json`);
+  }
+
+  _readFile(file) {
+    try {
+      const raw = fs.readFileSync(file, 'utf8');
+      const data = JSON.parse(raw);
+      return data && typeof data === 'object' ? data : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  get(key) {
+    const data = this._readFile(this._fileForKey(key));
+    return data && data.key === String(key) ? data.value : null;
+  }
+
+  set(key, value) {
+    const file = this._fileForKey(key);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ key: String(key), updatedAt: Date.now(), value }), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  delete(key) {
+    try {
+      fs.unlinkSync(this._fileForKey(key));
+    } catch (_) {}
+  }
+
+  _listFiles() {
+    try {
+      return fs
+        .readdirSync(this.dir)
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => path.join(this.dir, f));
+    } catch (_) {
+      return [];
+    }
+  }
+
+  entries() {
+    const out = [];
+    for (const file of this._listFiles()) {
+      const data = this._readFile(file);
+      if (data && typeof data.key === 'string') out.push([data.key, data.value]);
+    }
+    return out;
+  }
+
+  prune(maxAgeMs) {
+    const now = Date.now();
+    let removed = 0;
+    for (const file of this._listFiles()) {
+      const data = this._readFile(file);
+      if (!data || now - (Number(data.updatedAt) || 0) > maxAgeMs) {
+        try {
+          fs.unlinkSync(file);
+          removed++;
+        } catch (_) {}
+      }
+    }
+    return removed;
+  }
+}
+
+const sqliteHandles = new Map(); // file -> better-sqlite3 Database (shared by all namespaces)
+
+class SqliteStore {
+  constructor(namespace, opts = {}) {
+    this.namespace = namespace;
+    this.kind = 'sqlite';
+    const file = path.resolve(opts.filePath || process.env.SQLITE_PATH || path.join(DATA_DIR, 'voices-bot.sqlite'));
+    if (!sqliteHandles.has(file)) {
+      // Lazy require: better-sqlite3 is an optional (native) dependency.
+      const Database = require('better-sqlite3');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const db = new Database(file);
+      db.pragma('journal_mode = WAL');
+      db.exec(
+        'CREATE TABLE IF NOT EXISTS kv (' +
+          'namespace TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, updated_at INTEGER NOT NULL, ' +
+          'PRIMARY KEY (namespace, key))'
+      );
+      sqliteHandles.set(file, db);
+    }
+    const db = sqliteHandles.get(file);
+    this._get = db.prepare('SELECT value FROM kv WHERE namespace = ? AND key = ?');
+    this._set = db.prepare(
+      'INSERT INTO kv (namespace, key, value, updated_at) VALUES (?, ?, ?, ?) ' +
+        'ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+    );
+    this._delete = db.prepare('DELETE FROM kv WHERE namespace = ? AND key = ?');
+    this._entries = db.prepare('SELECT key, value FROM kv WHERE namespace = ?');
+    this._prune = db.prepare('DELETE FROM kv WHERE namespace = ? AND updated_at < ?');
+  }
+
+  get(key) {
+    const row = this._get.get(this.namespace, String(key));
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  set(key, value) {
+    this._set.run(this.namespace, String(key), JSON.stringify(value), Date.now());
+  }
+
+  delete(key) {
+    this._delete.run(this.namespace, String(key));
+  }
+
+  entries() {
+    return this._entries.all(this.namespace).map((row) => [row.key, JSON.parse(row.value)]);
+  }
+
+  prune(maxAgeMs) {
+    return this._prune.run(this.namespace, Date.now() - maxAgeMs).changes || 0;
+  }
+}
+
+function createStore(namespace, backend) {
+  const kind = (backend || 'memory').toString().trim().toLowerCase();
+  try {
+    if (kind === 'sqlite') return new SqliteStore(namespace);
+    if (kind === 'file') return new JsonFileStore(namespace);
+  } catch (e) {
+    console.error(`[store] ${kind} backend unavailable for "${namespace}" (${e?.message || e}); using memory`);
+  }
+  return new MemoryStore(namespace);
+}
+
+const sessionStore = createStore('sessions', process.env.SESSION_STORE || 'file');
+
+// The voices array carries extra (non-index) props such as facetGroups/facetAxis/facetIso2/variantIntent.
+// JSON.stringify drops those, so they are stored separately; facet group members are stored as voice_ids
+// (when present in the main list) to avoid duplicating voice objects on disk.
+function serializeSession(session) {
+  const voices = Array.isArray(session?.voices) ? session.voices : [];
+  const voiceProps = {};
+  for (const key of Object.keys(voices)) {
+    if (/^\d+$/.test(key)) continue;
+    voiceProps[key] = voices[key];
+  }
+  if (Array.isArray(voiceProps.facetGroups)) {
+    const ids = new Set(voices.map((v) => v?.voice_id).filter(Boolean));
+    voiceProps.facetGroups = voiceProps.facetGroups.map((g) => ({
+      ...g,
+      voices: (Array.isArray(g?.voices) ? g.voices : []).map((v) => (v?.voice_id && ids.has(v.voice_id) ? v.voice_id : v))
+    }));
+  }
+  const out = { ...session, voices: voices.slice(), voiceProps };
+  return JSON.parse(JSON.stringify(out));
+}
+
+function deserializeSession(data) {
+  if (!data || typeof data !== 'object') return null;
+  const { voiceProps, ...session } = data;
+  const voices = Array.isArray(session.voices) ? session.voices : [];
+  const byId = new Map(voices.map((v) => [v?.voice_id, v]));
+  for (const [key, value] of Object.entries(voiceProps || {})) {
+    if (key === 'facetGroups' && Array.isArray(value)) {
+      voices.facetGroups = value.map((g) => ({
+        ...g,
+        voices: (Array.isArray(g?.voices) ? g.voices : [])
+          .map((v) => (typeof v === 'string' ? byId.get(v) || null : v))
+          .filter(Boolean)
+      }));
+    } else {
+      voices[key] = value;
+    }
+  }
+  session.voices = voices;
+  if (!session.filters || typeof session.filters !== 'object') session.filters = {};
+  return session;
+}
+
+// Session accessors: memory first, then the persistent store (rehydrating into memory).
+function getSession(threadTs) {
+  if (!threadTs) return null;
+  const key = String(threadTs);
+  if (sessions[key]) return sessions[key];
+  try {
+    const session = deserializeSession(sessionStore.get(key));
+    if (!session) return null;
+    const ttl = sessionStore.kind === 'memory' ? SESSION_TTL_MS : SESSION_PERSIST_TTL_MS;
+    if (Date.now() - (session.lastActive || 0) > ttl) {
+      sessionStore.delete(key);
+      return null;
+    }
+    sessions[key] = session;
+    return session;
+  } catch (e) {
+    console.error('[sessionStore] load failed:', e?.message || e);
+    return null;
+  }
+}
+
+function saveSession(threadTs, session) {
+  if (!threadTs || !session) return session;
+  const key = String(threadTs);
+  sessions[key] = session;
+  try {
+    sessionStore.set(key, serializeSession(session));
+  } catch (e) {
+    console.error('[sessionStore] save failed:', e?.message || e);
+  }
+  return session;
+}
+
 // -------------------------------------------------------------
 // Accent/locale catalog (loaded from disk + optional refresh)
 // -------------------------------------------------------------
@@ -480,6 +762,13 @@ function readEnvNumber(name, defaultValue) {
   return Number.isFinite(n) && n > 0 ? n : defaultValue;
 }
 
+// Like readEnvNumber, but for shares/weights: 0 and 1 are valid, anything outside 0..1 uses the default.
+function readEnvFraction(name, defaultValue) {
+  const raw = String(process.env[name] || '').trim();
+  const n = raw === '' ? NaN : Number(raw);
+  return Number.isFinite(n) && n >= 0 && n <= 1 ? n : defaultValue;
+}
+
 class FacetKB {
   constructor(opts = {}) {
     this.facetsUrl = (opts.facetsUrl || process.env.FACETS_JSON_URL || '').toString().trim();
@@ -1019,7 +1308,7 @@ async function ensureLanguageIndexLoaded(traceCb) {
 
     languageIndex._loading = (async () => {
       try {
-        const res = await httpGetWithRetry('https://api.elevenlabs.io/v1/models', {
+        const res = await httpGetWithRetry(`${ELEVENLABS_API_BASE_URL}/v1/models`, {
           headers: {
             'xi-api-key': process.env.ELEVENLABS_API_KEY,
             'Content-Type': 'application/json'
@@ -1214,6 +1503,25 @@ function normalizeRequestedAccent(input) {
   }
 }
 
+// "es", "ES", "spanish" -> "es" (null when the language isn't supported)
+function resolveLanguageCode(token) {
+  const t = normalizeLangName(token);
+  if (!t) return null;
+  if (/^[a-z]{2}$/.test(t)) {
+    const ok = languageIndex.iso2Set.size ? languageIndex.iso2Set.has(t) : FALLBACK_ISO2_ALLOWLIST.has(t);
+    return ok ? t : null;
+  }
+  return languageIndex.byName.get(t) || STATIC_LANGUAGE_ALIASES.get(t) || null;
+}
+
+function getLanguageDisplayName(iso2) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(iso2) || iso2.toUpperCase();
+  } catch (_) {
+    return iso2.toUpperCase();
+  }
+}
+
 function parseUserLanguageHints(userText) {
   const text = (userText || '').toString();
   const lower = text.toLowerCase();
@@ -1459,13 +1767,14 @@ function suggestClosest(term, candidates, { maxDist = 2, maxSuggestions = 2 } =
 
 function validateEnvOrExit() {
   const required = [
-    'OPENAI_API_KEY',
     'ELEVENLABS_API_KEY',
     'SLACK_BOT_TOKEN',
     'SLACK_SIGNING_SECRET',
     'SLACK_APP_TOKEN'
   ];
   const missing = required.filter((k) => !process.env[k] || String(process.env[k]).trim() === '');
+  // LLM_API_KEY or OPENAI_API_KEY; a custom LLM_BASE_URL (local server) may run without one, Azure may not.
+  if (LLM_AZURE_API_VERSION ? !getLlmApiKey() : !isLlmConfigured()) missing.push('LLM_API_KEY (or OPENAI_API_KEY)');
   if (missing.length) {
     console.error(
       'Missing required environment variables: ' + missing.join(', ') + '. Exiting.'
@@ -1518,19 +1827,286 @@ async function withRetry(fn, options = {}) {
 }
 
 async function httpGetWithRetry(url, config) {
-  return withRetry(async () => {
-    const res = await axios.get(url, config);
+  try {
+    const res = await withRetry(() => axios.get(url, config));
+    recordApiHealth(url, null);
     return res;
-  });
+  } catch (err) {
+    recordApiHealth(url, err);
+    throw err;
+  }
 }
 
-async function httpPostWithRetry(url, data, config) {
-  return withRetry(async () => {
-    const res = await axios.post(url, data, config);
+async function httpPostWithRetry(url, data, config, retryOptions) {
+  try {
+    const res = await withRetry(() => axios.post(url, data, config), retryOptions);
+    recordApiHealth(url, null);
     return res;
+  } catch (err) {
+    recordApiHealth(url, err);
+    throw err;
+  }
+}
+
+// Outcome of the latest OpenAI / ElevenLabs calls (App Home status panel).
+// service -> { ok, at, lastOkAt, lastErrorAt, error }
+const apiHealth = new Map();
+
+function getApiServiceForUrl(url) {
+  const u = (url || '').toString();
+  if (u.startsWith(ELEVENLABS_API_BASE_URL)) return 'elevenlabs';
+  if (u.startsWith(LLM_BASE_URL)) return 'openai';
+  return null;
+}
+
+function recordApiHealth(url, err) {
+  const service = getApiServiceForUrl(url);
+  if (!service) return;
+  const status = err?.response?.status;
+  // Plain 4xx answers (unknown voice, bad filter) still mean the service is up.
+  const failed = !!err && (!status || status >= 500 || [401, 403, 429].includes(status));
+  const prev = apiHealth.get(service) || {};
+  const now = Date.now();
+  apiHealth.set(service, {
+    ...prev,
+    ok: !failed,
+    at: now,
+    lastOkAt: failed ? prev.lastOkAt || null : now,
+    lastErrorAt: failed ? now : prev.lastErrorAt || null,
+    error: failed ? (status ? `HTTP ${status}` : err?.code || err?.message || 'error') : prev.error || null
   });
 }
 
+// -------------------------------------------------------------
+// LLM client (OpenAI-compatible chat completions)
+// -------------------------------------------------------------
+// Every LLM call goes through llmChat(task, …). Tasks: keyword_plan, keyword_translate,
+// translate, rank, compare.
+//
+// Env:
+// - LLM_BASE_URL (default https://api.openai.com/v1) – e.g. http://localhost:8080/v1 for llama.cpp
+// - LLM_API_KEY (default OPENAI_API_KEY); local servers may need none
+// - LLM_AZURE_API_VERSION – switches to Azure OpenAI: LLM_BASE_URL is the resource endpoint and the
+//   task model names are deployment names
+// - LLM_MODEL (all tasks) / LLM_MODEL_<TASK> (e.g. LLM_MODEL_RANK=gpt-4o)
+// - LLM_TIMEOUT_MS / LLM_TIMEOUT_MS_<TASK>, LLM_RETRY_ATTEMPTS (default 3)
+// - LLM_JSON_MODE=false – don't send response_format (servers without JSON mode); replies are still
+//   parsed and validated as JSON
+const LLM_DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || LLM_DEFAULT_BASE_URL).replace(/\/+$/, '');
+const LLM_AZURE_API_VERSION = (process.env.LLM_AZURE_API_VERSION || '').trim();
+const LLM_RETRY_ATTEMPTS = Math.max(1, Math.floor(readEnvNumber('LLM_RETRY_ATTEMPTS', 3)));
+const LLM_TASK_DEFAULTS = {
+  keyword_plan: { model: 'gpt-4o-mini', timeoutMs: 20000 },
+  keyword_translate: { model: 'gpt-4o-mini', timeoutMs: 20000 },
+  translate: { model: 'gpt-4o-mini', timeoutMs: 20000 },
+  rank: { model: 'gpt-4o', timeoutMs: 25000 },
+  compare: { model: 'gpt-4o-mini', timeoutMs: 20000 }
+};
+
+// task -> { calls, failures, prompt_tokens, completion_tokens, total_tokens }
+const llmUsage = new Map();
+
+function getLlmApiKey() {
+  return (process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '').trim();
+}
+
+// The default endpoint needs a key; a custom LLM_BASE_URL (local server) may not.
+function isLlmConfigured() {
+  return Boolean(getLlmApiKey() || LLM_BASE_URL !== LLM_DEFAULT_BASE_URL);
+}
+
+function getLlmProviderLabel() {
+  if (LLM_AZURE_API_VERSION) return 'Azure OpenAI';
+  if (LLM_BASE_URL === LLM_DEFAULT_BASE_URL) return 'OpenAI';
+  try {
+    return `LLM (${new URL(LLM_BASE_URL).host})`;
+  } catch (_) {
+    return 'LLM';
+  }
+}
+
+function getLlmTaskConfig(task) {
+  const key = (task || '').toString().toUpperCase();
+  const defaults = LLM_TASK_DEFAULTS[task] || { model: 'gpt-4o-mini', timeoutMs: 20000 };
+  return {
+    model: (process.env[`LLM_MODEL_${key}`] || process.env.LLM_MODEL || defaults.model).trim(),
+    timeoutMs: readEnvNumber(`LLM_TIMEOUT_MS_${key}`, readEnvNumber('LLM_TIMEOUT_MS', defaults.timeoutMs))
+  };
+}
+
+function getLlmChatUrl(model) {
+  if (LLM_AZURE_API_VERSION) {
+    return `${LLM_BASE_URL}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${encodeURIComponent(LLM_AZURE_API_VERSION)}`;
+  }
+  return `${LLM_BASE_URL}/chat/completions`;
+}
+
+function recordLlmUsage(task, usage, failed) {
+  const prev = llmUsage.get(task) || { calls: 0, failures: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  const next = { ...prev, calls: prev.calls + 1, failures: prev.failures + (failed ? 1 : 0) };
+  for (const k of ['prompt_tokens', 'completion_tokens', 'total_tokens']) {
+    const n = Number(usage?.[k]);
+    if (Number.isFinite(n) && n > 0) next[k] += n;
+  }
+  llmUsage.set(task, next);
+}
+
+// Minimal JSON-schema subset for LLM replies: type (string or list, incl. 'null' and 'integer'),
+// enum, pattern, minimum/maximum, minLength/maxLength, items, minItems/maxItems, properties,
+// required, additionalProperties: false. Returns a list of "path: problem" strings.
+function validateJsonSchema(value, schema, path = '$') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+  const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+  const types = schema.type ? (Array.isArray(schema.type) ? schema.type : [schema.type]) : null;
+  if (types) {
+    const actual = typeOf(value);
+    const ok = types.some((t) => t === actual || (t === 'integer' && Number.isInteger(value)));
+    if (!ok) return [`${path}: expected ${types.join(' or ')}, got ${actual}`];
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path}: must be a finite number`);
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateJsonSchema(v, props[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}.${key}: unexpected property`);
+    }
+  }
+  return errors;
+}
+
+async function postLlmChat(task, payload, timeoutMs) {
+  const apiKey = getLlmApiKey();
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    if (LLM_AZURE_API_VERSION) headers['api-key'] = apiKey;
+    else headers.Authorization = `Bearer ${apiKey}`;
+  }
+  let response;
+  try {
+    response = await httpPostWithRetry(getLlmChatUrl(payload.model), payload, { headers, timeout: timeoutMs }, { attempts: LLM_RETRY_ATTEMPTS });
+  } catch (err) {
+    recordLlmUsage(task, null, true);
+    throw err;
+  }
+  const content = response.data?.choices?.[0]?.message?.content;
+  return { content: typeof content === 'string' ? content : '', usage: response.data?.usage || null };
+}
+
+// Parses a JSON-mode reply and checks it against options.schema / options.validate.
+// Returns { raw, data, errors, schemaOk } – errors is empty when the reply is usable; schemaOk means
+// it parsed and matched the schema (only options.validate complained).
+function checkLlmJsonReply(content, { schema, validate } = {}) {
+  // Local models sometimes wrap JSON in a ```json fence even in JSON mode.
+  const raw = (content || '').toString().trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let data = null;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    return { raw, data: null, errors: [`$: not valid JSON (${e.message})`], schemaOk: false };
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { raw, data: null, errors: ['$: expected a JSON object'], schemaOk: false };
+  const schemaErrors = schema ? validateJsonSchema(data, schema) : [];
+  const errors = [...schemaErrors, ...(typeof validate === 'function' ? validate(data) || [] : [])];
+  return { raw, data, errors, schemaOk: schemaErrors.length === 0 };
+}
+
+// Returns { content, data, model, usage }. With json: true the reply must be a JSON object that
+// passes options.schema (validateJsonSchema) and options.validate(data) -> string[]. A failing reply
+// gets one repair round-trip with the errors. If the repair fails too, a first reply that matched the
+// schema is returned as is (callers already tolerate semantic gaps); otherwise it throws with code
+// LLM_INVALID_JSON. Each check is traced as stage 'llm_validation' via options.traceCb.
+async function llmChat(task, { messages, json = false, temperature = 0, schema = null, validate = null, traceCb = null } = {}) {
+  const { model, timeoutMs } = getLlmTaskConfig(task);
+  const payload = { model, messages, temperature };
+  if (json && readEnvBoolean('LLM_JSON_MODE', true)) payload.response_format = { type: 'json_object' };
+
+  const first = await postLlmChat(task, payload, timeoutMs);
+  if (!json) {
+    recordLlmUsage(task, first.usage, false);
+    return { content: first.content, data: null, model, usage: first.usage };
+  }
+
+  const trace = (attempt, errors) => {
+    try {
+      traceCb?.({
+        stage: 'llm_validation',
+        params: { task, attempt, ok: errors.length ? 'false' : 'true', ...(errors.length ? { errors: errors.slice(0, 3).join(' | ') } : {}) },
+        count: errors.length
+      });
+    } catch (_) {}
+  };
+
+  const initial = checkLlmJsonReply(first.content, { schema, validate });
+  trace('initial', initial.errors);
+  recordLlmUsage(task, first.usage, initial.errors.length > 0);
+  let reply = initial;
+  let usage = first.usage;
+  if (initial.errors.length) {
+    console.warn(`[llm] ${task}: invalid reply, asking for a repair: ${initial.errors.slice(0, 3).join('; ')}`);
+    try {
+      const repair = await postLlmChat(
+        task,
+        {
+          ...payload,
+          messages: [
+            ...messages,
+            { role: 'assistant', content: initial.raw || first.content || '' },
+            {
+              role: 'user',
+              content:
+                'json\nYour previous reply failed validation:\n' +
+                initial.errors.slice(0, 12).map((e) => `- ${e}`).join('\n') +
+                '\nReturn the corrected JSON object only, following the original instructions exactly.'
+            }
+          ]
+        },
+        timeoutMs
+      );
+      reply = checkLlmJsonReply(repair.content, { schema, validate });
+      trace('repair', reply.errors);
+      recordLlmUsage(task, repair.usage, reply.errors.length > 0);
+      usage = repair.usage;
+    } catch (err) {
+      if (!initial.schemaOk) throw err;
+      safeLogAxiosError(`${task} repair`, err);
+      reply = { errors: ['repair call failed'] };
+    }
+    if (reply.errors.length && initial.schemaOk) {
+      trace('use_initial', []);
+      return { content: initial.raw, data: initial.data, model, usage: first.usage };
+    }
+    if (reply.errors.length) {
+      throw Object.assign(new Error(`${task}: model reply failed validation (${reply.errors.slice(0, 3).join('; ')})`), {
+        code: 'LLM_INVALID_JSON',
+        validationErrors: reply.errors
+      });
+    }
+  }
+  return { content: reply.raw, data: reply.data, model, usage };
+}
+
 function isDuplicateRequest(threadTs, cleaned) {
   try {
     const key = `${threadTs}|${(cleaned || '').toLowerCase()}`;
@@ -1568,7 +2144,7 @@ function safeLogAxiosError(context, err) {
 function startMemoryCleanup() {
   setInterval(() => {
     const now = Date.now();
-    // Clean sessions by lastActive
+    // Evict idle sessions from the in-memory cache (they stay resumable from sessionStore)
     for (const [ts, session] of Object.entries(sessions)) {
       try {
         const last = session?.lastActive || 0;
@@ -1577,6 +2153,18 @@ function startMemoryCleanup() {
         }
       } catch (_) {}
     }
+    // Prune persisted sessions (memory backend keeps the old 45-minute lifetime)
+    try {
+      const removed = sessionStore.prune(sessionStore.kind === 'memory' ? SESSION_TTL_MS : SESSION_PERSIST_TTL_MS);
+      if (removed > 0) console.log(`[sessionStore] pruned ${removed} expired session(s)`);
+    } catch (e) {
+      console.error('[sessionStore] prune failed:', e?.message || e);
+    }
+    // Drop audition clips nobody has re-requested in a while
+    try {
+      const removed = pruneAuditionCache();
+      if (removed > 0) console.log(`[audition] pruned ${removed} cached clip(s)`);
+    } catch (_) {}
     // Clean recentRequests older than TTL
     try {
       for (const [key, timestamp] of recentRequests.entries()) {
@@ -2566,13 +3154,63 @@ function buildFacetClarifyMessage(pending) {
       const suffix = type === 'accent' && count !== null ? ` (count=${count})` : '';
       lines.push(`${i + 1}) ${label}${suffix}`);
     }
-    lines.push('Reply with 1/2/3 or paste the exact value.');
+    lines.push('Reply with 1/2/3 or paste the exact value (or use the buttons below).');
     return lines.join('\n');
   } catch (_) {
     return null;
   }
 }
 
+// Picked via "any accent"/"any locale": drop the facet constraint instead of choosing one.
+const FACET_ANY_CHOICE = Object.freeze({ any: true });
+
+function getFacetOptionCount(pending, option) {
+  if (typeof option?.count === 'number') return option.count;
+  if (pending?.type !== 'accent') return null;
+  try {
+    const iso2 = (pending.iso2 || '').toString().toLowerCase().slice(0, 2);
+    const counts = facetKB?.accentCountByIso2Accent?.get(iso2);
+    const n = counts ? counts.get(normalizeCatalogToken(option?.value || option?.label || '')) : null;
+    return typeof n === 'number' ? n : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Same question as buildFacetClarifyMessage, plus one button per option (facet_pick:<index>)
+// and an "any" escape (facet_pick:any). Typing an answer keeps working.
+function buildFacetClarifyBlocks(pending, text, anyLabel) {
+  try {
+    const opts = Array.isArray(pending?.options) ? pending.options : [];
+    if (!opts.length) return null;
+    const blocks = buildBlocksFromText(text) || [];
+    const elements = [];
+    for (let i = 0; i < Math.min(3, opts.length); i++) {
+      const o = opts[i];
+      if (!o) continue;
+      const label = (o.label || o.value || '').toString();
+      const count = getFacetOptionCount(pending, o);
+      const buttonText = count !== null ? `${label} (${formatCompactNumber(count)})` : label;
+      elements.push({
+        type: 'button',
+        text: { type: 'plain_text', text: buttonText.slice(0, 75), emoji: true },
+        action_id: `facet_pick:${i}`,
+        value: String(i)
+      });
+    }
+    elements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: (anyLabel || 'Any').slice(0, 75), emoji: true },
+      action_id: 'facet_pick:any',
+      value: 'any'
+    });
+    blocks.push({ type: 'actions', elements });
+    return blocks;
+  } catch (_) {
+    return null;
+  }
+}
+
 function resolveFacetChoiceFromText(userText, pending) {
   try {
     const text = (userText || '').toString().trim();
@@ -2590,6 +3228,11 @@ function resolveFacetChoiceFromText(userText, pending) {
     const lower = text.toLowerCase();
     const norm = normalizeCatalogToken(lower);
 
+    // "any" escape (same as the button)
+    if (/^(any|any (accent|locale|of them)|doesn'?t matter|no preference)[.!]?$/.test(lower)) {
+      return FACET_ANY_CHOICE;
+    }
+
     // 2) exact match on value/label/slug
     for (const o of opts) {
       const v = normalizeCatalogToken(o?.value || '');
@@ -2921,9 +3564,9 @@ function uniqueMergeKeywords(baseArr, addArr) {
   return out;
 }
 
-async function refineKeywordPlanFromFollowUp(existingPlan, followUpText) {
+async function refineKeywordPlanFromFollowUp(existingPlan, followUpText, traceCb) {
   const base = existingPlan ? JSON.parse(JSON.stringify(existingPlan)) : {};
-  const delta = await buildKeywordPlan(followUpText);
+  const delta = await buildKeywordPlan(followUpText, traceCb);
 
   // Fields with explicit override if provided in follow-up
   const qpOverride = detectQualityPreferenceFromText(followUpText);
@@ -2949,7 +3592,8 @@ async function refineKeywordPlanFromFollowUp(existingPlan, followUpText) {
   base.style_keywords = uniqueMergeKeywords(base.style_keywords, delta.style_keywords);
   base.extra_keywords = uniqueMergeKeywords(base.extra_keywords, delta.extra_keywords);
 
-  return typeof normalizeKeywordPlan === 'function' ? normalizeKeywordPlan(base, followUpText) : base;
+  // Not normalized (list caps, "hq" override): like the keyword floor, that stays with the rule-based planner.
+  return base;
 }
 
 // Detect special intent like "most used Polish voices", "najczęściej używane polskie głosy"
@@ -3066,29 +3710,13 @@ Task:
 - Do not add explanations or comments. Return ONLY the translated text.
 `.trim();
 
-  const payload = {
-    model: 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: text }
-    ],
-    temperature: 0
-  };
-
   try {
-    const response = await httpPostWithRetry(
-      'https://api.openai.com/v1/chat/completions',
-      payload,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 20000
-      }
-    );
-
-    const content = response.data.choices[0].message.content;
+    const { content } = await llmChat('translate', {
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: text }
+      ]
+    });
     return content || text;
   } catch (err) {
     safeLogAxiosError('translateForUserLanguage', err);
@@ -3097,33 +3725,6 @@ Task:
   }
 }
 
-// -------------------------------------------------------------
-// GPT: build keyword plan from user brief
-// -------------------------------------------------------------
-
-async function buildKeywordPlan(userText) {
-  const systemPrompt = `
-You are an assistant that takes a user's description of the voice they want (in ANY language)
-and produces a JSON keyword plan for the ElevenLabs Voice Library (GET /v1/shared-voices).
-
-Return ONLY a single JSON object, no markdown, no explanations.
-
-The JSON MUST have exactly these fields:
-
-{
-  "user_interface_language": string,        // 2-letter code like "en", "pl", "es" for the language the user is writing in
-  "target_voice_language": string or null,  // 2-letter code like "en", "pl" for the language of the VOICE the user wants
-  "target_accent": string or null,          // e.g. "american", "british", "polish"
-  "target_gender": "male" | "female" | "neutral" | null,
-  "quality_preference": "any" | "high_only" | "no_high",
-
-  "tone_keywords": string[],
-  "use_case_keywords": string[],
-  "character_keywords": string[],
-  "style_keywords": string[],
-  "extra_keywords": string[]
-}
-
 // -------------------------------------------------------------
 // Plan validator / normalizer
 // -------------------------------------------------------------
@@ -3205,15 +3806,23 @@ function ensureKeywordFloor(userText, plan) {
   ];
   const domain = (domainMap.find((d) => d.test(lower)) || {}).name || null;
 
-  out.use_case_keywords = addUnique(out.use_case_keywords, [
-    'conversational','support','customer support','call center','contact center'
-  ], 5);
-  out.tone_keywords = addUnique(out.tone_keywords, [
-    'calm','reassuring','clear','warm','professional','empathetic','confident'
-  ], 8);
-  out.style_keywords = addUnique(out.style_keywords, [
-    'friendly','helpful','service'
-  ], 6);
+  // Support-bot use cases only pad briefs that don't name a use case of their own.
+  if (!hasExplicitUseCaseMention(userText)) {
+    out.use_case_keywords = addUnique(out.use_case_keywords, [
+      'conversational','support','customer support','call center','contact center'
+    ], 5);
+  }
+  // Same for the support-bot tone/style: a brief with its own tone or character ("dark villain")
+  // must not also search for "calm"/"reassuring".
+  const hasOwnTone = (plan?.tone_keywords?.length || 0) + (plan?.character_keywords?.length || 0) > 0;
+  if (!hasOwnTone) {
+    out.tone_keywords = addUnique(out.tone_keywords, [
+      'calm','reassuring','clear','warm','professional','empathetic','confident'
+    ], 8);
+    out.style_keywords = addUnique(out.style_keywords, [
+      'friendly','helpful','service'
+    ], 6);
+  }
 
   if (domain === 'healthcare') {
     out.extra_keywords = addUnique(out.extra_keywords, ['healthcare','medical','patient','clinical'], 12);
@@ -3244,10 +3853,161 @@ function ensureKeywordFloor(userText, plan) {
   out.__floorDomain = domain;
   return out;
 }
-RULES:
 
-- user_interface_language:
-  - Detect from the language of the user message (e.g. Polish -> "pl", English -> "en").
+// -------------------------------------------------------------
+// Rule-based keyword plan (no LLM)
+// -------------------------------------------------------------
+// Same shape as buildKeywordPlan's output, built only from the local parsers. Used when the
+// LLM call fails, is rate-limited, returns unusable JSON, or no LLM is configured.
+const RULE_PLAN_VOCAB = {
+  tone_keywords: [
+    'calm', 'warm', 'deep', 'soft', 'gentle', 'soothing', 'relaxing', 'energetic', 'upbeat', 'cheerful',
+    'dark', 'serious', 'authoritative', 'confident', 'friendly', 'raspy', 'gravelly', 'husky', 'breathy',
+    'whisper', 'whispering', 'smooth', 'rich', 'bright', 'crisp', 'clear', 'low', 'slow', 'fast',
+    'dramatic', 'intense', 'playful', 'sarcastic', 'seductive', 'emotional', 'neutral'
+  ],
+  use_case_keywords: [
+    'narration', 'audiobook', 'audiobooks', 'storytelling', 'podcast', 'commercial', 'advertising',
+    'trailer', 'explainer', 'ivr', 'voicemail', 'call center', 'customer support', 'conversational',
+    'agent', 'assistant', 'meditation', 'asmr', 'news', 'documentary', 'e-learning', 'education',
+    'gaming', 'game', 'animation', 'cartoon', 'social media', 'youtube', 'tiktok', 'announcer'
+  ],
+  character_keywords: [
+    'narrator', 'storyteller', 'villain', 'hero', 'wizard', 'witch', 'pirate', 'robot', 'monster',
+    'grandpa', 'grandma', 'teacher', 'doctor', 'soldier', 'knight', 'princess', 'king', 'queen',
+    'host', 'presenter', 'broadcaster', 'radio host', 'influencer', 'coach', 'detective'
+  ],
+  style_keywords: ['professional', 'corporate', 'casual', 'natural', 'theatrical', 'cinematic', 'documentary style', 'engaging', 'youthful', 'mature']
+};
+
+// male/female only when the brief names exactly one of them.
+function detectGenderFromText(text) {
+  const lower = (text || '').toString().toLowerCase();
+  const female = /\b(?:female|woman|women|girl|lady|feminine|grandma|mujer)\b|kobie/.test(lower);
+  const male = /\b(?:male|man|men|boy|guy|masculine|grandpa|hombre)\b|mężczy|mezczy|męsk|mesk/.test(lower);
+  if (female === male) return null;
+  return female ? 'female' : 'male';
+}
+
+function buildRuleBasedKeywordPlan(userText) {
+  const text = (userText || '').toString();
+  const lower = text.toLowerCase();
+  // Vocabulary and intent matching ignore negated phrases ("no cartoon", "without whisper").
+  const positive = lower.replace(/\b(?:not|no|without|bez)\s+(?:an?\s+)?[\p{L}-]+/gu, ' ');
+  const hasTerm = (term) => new RegExp(`(?:^|[^\\p{L}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:$|[^\\p{L}])`, 'u').test(positive);
+
+  const plan = {
+    user_interface_language: guessUiLanguageFromText(text),
+    target_voice_language: null,
+    target_accent: null,
+    target_gender: detectGenderFromText(text),
+    quality_preference: detectQualityPreferenceFromText(text) || 'any',
+    tone_keywords: [],
+    use_case_keywords: [],
+    character_keywords: [],
+    style_keywords: [],
+    extra_keywords: []
+  };
+
+  // Language only when the brief names it (same rule as the LLM path).
+  const hint = parseUserLanguageHints(text);
+  if (hint?.iso2 && hasExplicitLanguageMention(text) && !detectBilingualEnEs(text)) {
+    plan.target_voice_language = hint.iso2;
+  }
+  if (hasExplicitAccentMention(text)) {
+    plan.target_accent = getRequestedAccent(text, plan, hint?.locale || null) || null;
+  }
+
+  for (const [field, vocab] of Object.entries(RULE_PLAN_VOCAB)) {
+    plan[field] = vocab.filter(hasTerm);
+  }
+  const age = detectAgeFromText(text);
+  if (age && age !== 'adult') plan.character_keywords.push(age);
+
+  // Intent enrichment (villain, military, …) adds extra search terms on top of the vocabulary hits;
+  // remaining content words of the brief (any language) go last.
+  const known = new Set(Object.keys(RULE_PLAN_VOCAB).flatMap((f) => plan[f]));
+  const briefTerms = localRankTerms(positive)
+    .filter((t) => !known.has(t) && !GENDER_MENTION_RE.test(t) && !resolveLanguageCode(t) && !/^(?:accent|akcent|high|quality|\d.*)$/.test(t))
+    .slice(0, 6);
+  plan.extra_keywords = [...enrichKeywordsByIntent(positive, Array.from(known)).filter((k) => !known.has(k)), ...briefTerms];
+
+  // Negated words ("no cartoon") must not be searched for.
+  const negatives = Array.from(extractNegativeTokens(text) || []);
+  for (const field of [...Object.keys(RULE_PLAN_VOCAB), 'extra_keywords']) {
+    plan[field] = pruneNegativesFromList(plan[field], negatives);
+  }
+
+  const floored = ensureKeywordFloor(text, plan);
+  delete floored.__floorDomain;
+  return normalizeKeywordPlan(floored, text);
+}
+
+// -------------------------------------------------------------
+// GPT: build keyword plan from user brief
+// -------------------------------------------------------------
+
+// Formal shape of the buildKeywordPlan reply (the prompt's "exactly these fields").
+const KEYWORD_PLAN_SCHEMA = (() => {
+  const keywords = { type: 'array', maxItems: 30, items: { type: 'string', minLength: 1, maxLength: 60 } };
+  return {
+    type: 'object',
+    required: [
+      'user_interface_language',
+      'target_voice_language',
+      'target_accent',
+      'target_gender',
+      'quality_preference',
+      'tone_keywords',
+      'use_case_keywords',
+      'character_keywords',
+      'style_keywords',
+      'extra_keywords'
+    ],
+    additionalProperties: false,
+    properties: {
+      user_interface_language: { type: ['string', 'null'], pattern: '^[a-z]{2}$' },
+      target_voice_language: { type: ['string', 'null'], pattern: '^[a-z]{2}$' },
+      target_accent: { type: ['string', 'null'], maxLength: 40 },
+      target_gender: { type: ['string', 'null'], enum: ['male', 'female', 'neutral', null] },
+      quality_preference: { type: 'string', enum: ['any', 'high_only', 'no_high'] },
+      tone_keywords: keywords,
+      use_case_keywords: keywords,
+      character_keywords: keywords,
+      style_keywords: keywords,
+      extra_keywords: keywords
+    }
+  };
+})();
+
+async function buildKeywordPlan(userText, traceCb) {
+  if (!isLlmConfigured()) return buildRuleBasedKeywordPlan(userText);
+  const systemPrompt = `
+You are an assistant that takes a user's description of the voice they want (in ANY language)
+and produces a JSON keyword plan for the ElevenLabs Voice Library (GET /v1/shared-voices).
+
+Return ONLY a single JSON object, no markdown, no explanations.
+
+The JSON MUST have exactly these fields:
+
+{
+  "user_interface_language": string,        // 2-letter code like "en", "pl", "es" for the language the user is writing in
+  "target_voice_language": string or null,  // 2-letter code like "en", "pl" for the language of the VOICE the user wants
+  "target_accent": string or null,          // e.g. "american", "british", "polish"
+  "target_gender": "male" | "female" | "neutral" | null,
+  "quality_preference": "any" | "high_only" | "no_high",
+
+  "tone_keywords": string[],
+  "use_case_keywords": string[],
+  "character_keywords": string[],
+  "style_keywords": string[],
+  "extra_keywords": string[]
+}
+
+RULES:
+
+- user_interface_language:
+  - Detect from the language of the user message (e.g. Polish -> "pl", English -> "en").
 
 - target_voice_language:
   - Language of the VOICE the user wants (e.g. "en" for an American English voice, "pl" for Polish).
@@ -3293,37 +4053,22 @@ IMPORTANT:
 - These keywords will be used for SEPARATE searches (one keyword per search), not as one big sentence.
 `.trim();
 
-  const payload = {
-    model: 'gpt-4o-mini',
-    response_format: { type: 'json_object' },
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userText }
-    ],
-    temperature: 0
-  };
-
   try {
-    const response = await httpPostWithRetry(
-      'https://api.openai.com/v1/chat/completions',
-      payload,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 20000
-      }
-    );
-
-    const content = response.data.choices[0].message.content;
-    let plan = JSON.parse(content);
+    const { data } = await llmChat('keyword_plan', {
+      json: true,
+      schema: KEYWORD_PLAN_SCHEMA,
+      traceCb,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userText }
+      ]
+    });
+    let plan = data;
 
     // Always derive UI language from the user's message (deterministic)
     plan.user_interface_language = guessUiLanguageFromText(userText);
-    if (typeof normalizeKeywordPlan === 'function') {
-      plan = normalizeKeywordPlan(plan, userText);
-    }
+    // normalizeKeywordPlan only shapes rule-based plans (buildRuleBasedKeywordPlan); LLM plans are
+    // schema-checked and used as returned.
 
     if (!plan.target_voice_language) {
       const inferredLang = detectVoiceLanguageFromText(userText);
@@ -3374,21 +4119,7 @@ IMPORTANT:
     return plan;
   } catch (error) {
     safeLogAxiosError('buildKeywordPlan', error);
-
-    const qp = detectQualityPreferenceFromText(userText);
-
-    return {
-      user_interface_language: guessUiLanguageFromText(userText),
-      target_voice_language: detectVoiceLanguageFromText(userText),
-      target_accent: null,
-      target_gender: null,
-      quality_preference: qp || 'any',
-      tone_keywords: [],
-      use_case_keywords: [],
-      character_keywords: [],
-      style_keywords: [],
-      extra_keywords: [userText.toLowerCase()]
-    };
+    return buildRuleBasedKeywordPlan(userText);
   }
 }
 
@@ -3408,10 +4139,8 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
     }
   } catch (_) {}
 
-  // Apply keyword floor enrichment if the plan is too thin (guarded)
-  if (typeof ensureKeywordFloor === 'function') {
-    plan = ensureKeywordFloor(userText, plan);
-  }
+  // Keyword floor: only the rule-based planner pads thin plans (buildRuleBasedKeywordPlan);
+  // LLM plans are searched as returned.
   try {
     // First-shot template telemetry
     const lt = (userText || '').toLowerCase();
@@ -3440,7 +4169,11 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
   } catch (_) {}
   // Negatives from user brief
   try {
-    plan.__negatives = Array.from(extractNegativeTokens(userText) || []);
+    // Channel defaults add their own negatives (plan.__extraNegatives) on top of the brief's.
+    plan.__negatives = dedupePreserveOrder([
+      ...Array.from(extractNegativeTokens(userText) || []),
+      ...(Array.isArray(plan.__extraNegatives) ? plan.__extraNegatives : [])
+    ]);
     // Ensure negated tokens (e.g. "not audiobook") never influence use_cases/descriptives/search keywords.
     plan = applyNegativesToPlan(plan);
     if (plan.__negatives.length) {
@@ -3449,7 +4182,7 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
   } catch (_) {}
 
   async function callSharedVoices(params) {
-    const url = `https://api.elevenlabs.io/v1/shared-voices?${params.toString()}`;
+    const url = `${ELEVENLABS_API_BASE_URL}/v1/shared-voices?${params.toString()}`;
     const res = await httpGetWithRetry(url, {
       headers: {
         'xi-api-key': XI_KEY,
@@ -3643,7 +4376,7 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
       const iso = (targetIso2 || '').toString().toLowerCase().slice(0, 2);
       if (!iso || iso === 'en') return keywords;
       if (!readEnvBoolean('ENABLE_LLM_KEYWORD_TRANSLATION', true)) return keywords;
-      if (!process.env.OPENAI_API_KEY) return keywords;
+      if (!isLlmConfigured()) return keywords;
 
       const src = Array.isArray(keywords) ? keywords : [];
       const compact = src.map((k) => normalizeKw(k)).filter(Boolean).slice(0, 10);
@@ -3688,9 +4421,8 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
           '{ "translations": { "<src>": ["<t1>","<t2>"] } }'
         ].join('\n');
 
-        const payload = {
-          model: 'gpt-4o-mini',
-          response_format: { type: 'json_object' },
+        const { data } = await llmChat('keyword_translate', {
+          json: true,
           messages: [
             { role: 'system', content: system },
             {
@@ -3702,19 +4434,8 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
                   keywords: missing
                 })
             }
-          ],
-          temperature: 0
-        };
-
-        const resp = await httpPostWithRetry('https://api.openai.com/v1/chat/completions', payload, {
-          headers: {
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 20000
+          ]
         });
-        const content = resp?.data?.choices?.[0]?.message?.content || '{}';
-        const data = JSON.parse(content);
         const tr = data && typeof data === 'object' ? data.translations || {} : {};
 
         let added = 0;
@@ -4925,8 +5646,10 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
     voices = uniq;
   }
 
-  // cap total voices to keep memory bounded
-  if (voices.length > 120) {
+  // cap total voices to keep memory bounded; a cut pool is what makes paging worth a fetch
+  // (voices.hasMore, see getResultPage) – per-keyword has_more is set for almost every query.
+  const poolTruncated = voices.length > 120;
+  if (poolTruncated) {
     voices = voices.slice(0, 120);
   }
 
@@ -5056,7 +5779,8 @@ async function fetchVoicesByKeywords(plan, userText, traceCb) {
     }
   } catch (_) {}
 
-  return voices;
+  voices.hasMore = poolTruncated;
+  return applyVoicePolicy(voices, trace);
 }
 
 // Special mode: "top by language" – most used voices in a given language (with optional filters)
@@ -5076,7 +5800,7 @@ async function fetchTopVoicesByLanguage(languageCode, qualityPreference, plan, u
       traceCb: trace
     });
 
-    const url = `https://api.elevenlabs.io/v1/shared-voices?${params.toString()}`;
+    const url = `${ELEVENLABS_API_BASE_URL}/v1/shared-voices?${params.toString()}`;
 
     const res = await httpGetWithRetry(url, {
       headers: {
@@ -5096,24 +5820,222 @@ async function fetchTopVoicesByLanguage(languageCode, qualityPreference, plan, u
     } catch (_) {}
     if (!voices.length) return [];
 
-    voices.sort((a, b) => {
-      const ua = a.usage_character_count_1y || a.usage_character_count_7d || 0;
-      const ub = b.usage_character_count_1y || b.usage_character_count_7d || 0;
-      return ub - ua;
-    });
+    // An explicit sort (digest "newest", user sort filter) keeps the API order; re-sorting by usage
+    // before the cut would drop exactly the new, barely used voices.
+    if (!params.get('sort')) {
+      voices.sort((a, b) => {
+        const ua = a.usage_character_count_1y || a.usage_character_count_7d || 0;
+        const ub = b.usage_character_count_1y || b.usage_character_count_7d || 0;
+        return ub - ua;
+      });
+    }
 
-    return voices.slice(0, 80);
+    return applyVoicePolicy(voices.slice(0, 80), trace);
   } catch (err) {
     console.error('Error in fetchTopVoicesByLanguage:', err.message || err);
     return [];
   }
 }
 
+// -------------------------------------------------------------
+// Local ranker – deterministic scoring without OpenAI
+// -------------------------------------------------------------
+// RANKER=gpt (default) | local | hybrid
+// - gpt: rankVoicesWithGPT scores the candidates; the local ranker is used when the call fails
+// - local: never calls OpenAI for ranking
+// - hybrid: blends both (RANKER_HYBRID_GPT_WEIGHT, default 0.6 for the GPT score)
+const RANKER_MODE = (() => {
+  const raw = (process.env.RANKER || 'gpt').toString().trim().toLowerCase();
+  return ['gpt', 'local', 'hybrid'].includes(raw) ? raw : 'gpt';
+})();
+const RANKER_HYBRID_GPT_WEIGHT = readEnvFraction('RANKER_HYBRID_GPT_WEIGHT', 0.6);
+
+// Relative weight of each signal; signals that don't apply to the brief (no target language,
+// no gender, …) are left out and the rest are renormalized.
+const LOCAL_RANK_WEIGHTS = {
+  coverage: 0.3,
+  terms: 0.25,
+  language: 0.12,
+  accent: 0.08,
+  locale: 0.06,
+  gender: 0.1,
+  age: 0.05,
+  quality: 0.08,
+  usage: 0.08
+};
+
+const LOCAL_RANK_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'voice', 'voices', 'need', 'want', 'looking',
+  'like', 'some', 'something', 'please', 'find', 'give', 'show', 'our', 'your', 'can', 'who', 'sounds',
+  'sounding', 'very', 'more', 'less', 'not', 'without', 'any', 'are', 'has', 'have', 'should', 'would'
+]);
+
+function localRankTerms(text) {
+  return Array.from(
+    new Set(
+      (text || '')
+        .toString()
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((t) => (t.length >= 4 || SHORT_WHITELIST.has(t)) && !LOCAL_RANK_STOPWORDS.has(t))
+    )
+  );
+}
+
+function scoreVoiceLocally(voice, ctx) {
+  const parts = {};
+  const labels = voice.labels && typeof voice.labels === 'object' ? voice.labels : {};
+
+  // Keyword coverage: how many of the plan's keywords brought this voice in.
+  if (ctx.planKeywords.size) {
+    const matched = (Array.isArray(voice._matched_keywords) ? voice._matched_keywords : []).map(normalizeKw);
+    const hits = new Set(matched.filter((k) => ctx.planKeywords.has(k))).size;
+    parts.coverage = Math.min(1, hits / Math.min(ctx.planKeywords.size, 5));
+  }
+
+  // Brief terms found in the voice's own metadata.
+  const haystack = [voice.name, voice.description, voice.descriptive, voice.use_case, voice.accent, labels.description, labels.use_case]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase();
+  if (ctx.terms.length) {
+    const found = ctx.terms.filter((t) => haystack.includes(t)).length;
+    parts.terms = found / ctx.terms.length;
+  }
+
+  if (ctx.iso2) {
+    parts.language = voiceHasVerifiedIso2(voice, ctx.iso2) ? 1 : 0;
+    if (ctx.accent) parts.accent = voiceVerifiedAccents(voice, ctx.iso2).includes(ctx.accent) ? 1 : 0;
+    if (ctx.locale) parts.locale = voiceVerifiedLocales(voice, ctx.iso2).includes(ctx.locale) ? 1 : 0;
+  } else if (ctx.accent) {
+    parts.accent = normalizeRequestedAccent(voice.accent || labels.accent) === ctx.accent ? 1 : 0;
+  }
+
+  const gender = (voice.gender || labels.gender || '').toString().toLowerCase();
+  if (ctx.gender === 'male' || ctx.gender === 'female') {
+    parts.gender = gender === ctx.gender ? 1 : gender ? 0 : 0.5;
+  }
+
+  if (ctx.age) {
+    const age = (voice.age || labels.age || '').toString().toLowerCase().replace(/[\s-]+/g, '_');
+    parts.age = age === ctx.age || (ctx.age === 'young' && age === 'young_adult') ? 1 : age ? 0 : 0.5;
+  }
+
+  const hq = isHighQuality(voice);
+  if (ctx.quality === 'high_only') parts.quality = hq ? 1 : 0;
+  else if (ctx.quality === 'no_high') parts.quality = hq ? 0 : 1;
+  else parts.quality = hq ? 0.7 : 0.5;
+
+  if (ctx.maxUsage > 0) {
+    const usage = voice.usage_character_count_1y || voice.usage_character_count_7d || 0;
+    parts.usage = Math.log10(usage + 1) / Math.log10(ctx.maxUsage + 1);
+  }
+
+  let sum = 0;
+  let weight = 0;
+  for (const [key, value] of Object.entries(parts)) {
+    const w = LOCAL_RANK_WEIGHTS[key] || 0;
+    sum += w * value;
+    weight += w;
+  }
+  let score = weight ? sum / weight : 0;
+
+  // Things the brief explicitly ruled out ("no cartoon") halve the score.
+  if (ctx.negatives.some((n) => haystack.includes(n))) score *= 0.5;
+  return Math.max(0, Math.min(1, score));
+}
+
+// Same result shape as rankVoicesWithGPT: { scoreMap, userLanguage }.
+function rankVoicesLocally(userText, keywordPlan, voices) {
+  const plan = keywordPlan || {};
+  const list = Array.isArray(voices) ? voices : [];
+  const planKeywords = new Set(
+    [...(plan.tone_keywords || []), ...(plan.use_case_keywords || []), ...(plan.character_keywords || []), ...(plan.style_keywords || [])]
+      .map(normalizeKw)
+      .filter(Boolean)
+  );
+  const iso2 = typeof plan.target_voice_language === 'string' ? plan.target_voice_language.trim().toLowerCase().slice(0, 2) : null;
+  const ctx = {
+    planKeywords,
+    terms: localRankTerms(userText),
+    iso2: iso2 || null,
+    accent: plan.target_accent ? normalizeRequestedAccent(plan.target_accent) : null,
+    locale: plan.target_locale ? normalizeRequestedLocale(plan.target_locale) : null,
+    gender: plan.target_gender || null,
+    age: detectAgeFromText(userText),
+    quality: plan.quality_preference || 'any',
+    negatives: [...extractNegativeTokens(userText), ...(plan.__negatives || []), ...(plan.__extraNegatives || [])]
+      .map(normalizeKw)
+      .filter(Boolean),
+    maxUsage: list.reduce((m, v) => Math.max(m, v?.usage_character_count_1y || v?.usage_character_count_7d || 0), 0)
+  };
+  // Negated words ("not whisper") must not count as wanted terms.
+  ctx.terms = ctx.terms.filter((t) => !ctx.negatives.includes(t));
+
+  const scoreMap = {};
+  list.forEach((v, idx) => {
+    if (!v || !v.voice_id) return;
+    // Tiny positional tie-breaker keeps the retrieval order among equal scores.
+    scoreMap[v.voice_id] = Math.round((scoreVoiceLocally(v, ctx) * 0.98 + ((list.length - idx) / list.length) * 0.02) * 1000) / 1000;
+  });
+
+  const userLanguage = (plan.user_interface_language || guessUiLanguageFromText(userText) || 'en')
+    .toString()
+    .slice(0, 2)
+    .toLowerCase();
+  return { scoreMap, userLanguage };
+}
+
 // -------------------------------------------------------------
 // GPT: curator – rank voices for this specific brief
 // -------------------------------------------------------------
 
-async function rankVoicesWithGPT(userText, keywordPlan, voices) {
+// Formal shape of the rankVoicesWithGPT reply; validateRankingReply adds the candidate checks.
+const RANKING_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['ranking'],
+  additionalProperties: false,
+  properties: {
+    user_language: { type: ['string', 'null'], pattern: '^[a-z]{2}$' },
+    ranking: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['voice_id', 'score'],
+        additionalProperties: false,
+        properties: {
+          voice_id: { type: 'string', minLength: 1 },
+          score: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+};
+
+// Only known candidates, each at most once.
+function validateRankingReply(data, candidateIds) {
+  const errors = [];
+  const allowed = new Set(candidateIds);
+  const seen = new Set();
+  for (const item of Array.isArray(data?.ranking) ? data.ranking : []) {
+    const id = item?.voice_id;
+    if (typeof id !== 'string') continue;
+    if (!allowed.has(id)) errors.push(`$.ranking: unknown voice_id ${id}`);
+    else if (seen.has(id)) errors.push(`$.ranking: duplicate voice_id ${id}`);
+    seen.add(id);
+  }
+  return errors;
+}
+
+// Candidates the model left out are scored by rankVoicesWithGPT itself – a warning, not an error.
+function findRankingOmissions(data, candidateIds) {
+  const ranked = new Set((Array.isArray(data?.ranking) ? data.ranking : []).map((item) => item?.voice_id));
+  return candidateIds.filter((id) => !ranked.has(id));
+}
+
+async function rankVoicesWithGPT(userText, keywordPlan, voices, traceCb) {
+  if (RANKER_MODE === 'local') return rankVoicesLocally(userText, keywordPlan, voices);
   const MAX_VOICES = 50;
   const truncate = (val, max) => {
     if (val == null) return null;
@@ -5234,42 +6156,38 @@ Return valid JSON.
 Every candidate_voices.voice_id MUST appear exactly once in "ranking".
 `.trim();
 
-  const payload = {
-    model: 'gpt-4o',
-    response_format: { type: 'json_object' },
-    messages: [
-      { role: 'system', content: systemPrompt },
-      {
-        role: 'user',
-        content:
-          'json\n' +
-          JSON.stringify({
-          user_query: userText,
-          keyword_plan: keywordPlan,
-          candidate_voices: candidates
-        })
-      }
-    ],
-    temperature: 0
-  };
-
   try {
-    const response = await httpPostWithRetry(
-      'https://api.openai.com/v1/chat/completions',
-      payload,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 25000
-      }
-    );
-
-    const content = response.data.choices[0].message.content;
-    const data = JSON.parse(content);
+    const { data } = await llmChat('rank', {
+      json: true,
+      schema: RANKING_RESPONSE_SCHEMA,
+      validate: (reply) => validateRankingReply(reply, candidates.map((c) => c.voice_id)),
+      traceCb,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        {
+          role: 'user',
+          content:
+            'json\n' +
+            JSON.stringify({
+              user_query: userText,
+              keyword_plan: keywordPlan,
+              candidate_voices: candidates
+            })
+        }
+      ]
+    });
 
     const rankingArray = Array.isArray(data.ranking) ? data.ranking : [];
+    const omitted = findRankingOmissions(data, candidates.map((c) => c.voice_id));
+    if (omitted.length) {
+      try {
+        traceCb?.({
+          stage: 'llm_validation',
+          params: { task: 'rank', attempt: 'warning', ok: 'true', warning: `missing ${omitted.length} candidate(s): ${omitted.slice(0, 5).join(', ')}` },
+          count: omitted.length
+        });
+      } catch (_) {}
+    }
     const allowed = new Set(candidates.map((c) => c.voice_id));
     const scoreMap = {};
 
@@ -5301,24 +6219,19 @@ Every candidate_voices.voice_id MUST appear exactly once in "ranking".
         .slice(0, 2)
         .toLowerCase();
 
+    if (RANKER_MODE === 'hybrid') {
+      const local = rankVoicesLocally(userText, keywordPlan, voices).scoreMap;
+      for (const v of voices) {
+        if (!v?.voice_id) continue;
+        scoreMap[v.voice_id] = (scoreMap[v.voice_id] || 0) * RANKER_HYBRID_GPT_WEIGHT + (local[v.voice_id] || 0) * (1 - RANKER_HYBRID_GPT_WEIGHT);
+      }
+    }
+
     return { scoreMap, userLanguage: userLang };
   } catch (err) {
     safeLogAxiosError('rankVoicesWithGPT', err);
-
-    const scoreMap = {};
-    voices.forEach((v, idx) => {
-      scoreMap[v.voice_id] = (voices.length - idx) / Math.max(voices.length, 1);
-    });
-
-    const userLang =
-      (keywordPlan.user_interface_language ||
-        guessUiLanguageFromText(userText) ||
-        'en')
-        .toString()
-        .slice(0, 2)
-        .toLowerCase();
-
-    return { scoreMap, userLanguage: userLang };
+    // Ranking must not be lost when OpenAI is down – score the candidates locally instead.
+    return rankVoicesLocally(userText, keywordPlan, voices);
   }
 }
 
@@ -5326,9 +6239,18 @@ Every candidate_voices.voice_id MUST appear exactly once in "ranking".
 // Build Slack message from session
 // -------------------------------------------------------------
 
-function buildMessageFromSession(session) {
-  const { voices, ranking, filters, originalQuery } = session;
+// Shared selection logic for every result renderer (mrkdwn text + Block Kit cards).
+// Returns { sections: [{ kind:'facet'|'quality', key, title, markHq, groups: [{ gender, label, voices }] }] }
+// options.maxPerGender overrides the per-gender cap; options.onlyIds restricts output to one result page.
+function buildResultLayout(session, options = {}) {
+  const { voices, filters } = session;
+  const onlyIds = options.onlyIds instanceof Set ? options.onlyIds : null;
+  const ranking = session.ranking || {};
   const labels = getLabels();
+  const qualityFilter = filters.quality || 'any';
+  const genderFilter = filters.gender || 'any';
+  const order = genderFilter !== 'any' ? [genderFilter] : ['female', 'male', 'other'];
+  const genderLabels = { female: labels.female, male: labels.male, other: labels.other };
 
   // Facet sections (locale/accent) – UI-like grouping
   try {
@@ -5337,23 +6259,20 @@ function buildMessageFromSession(session) {
     const variantIntent = voices && typeof voices.variantIntent === 'object' ? voices.variantIntent : null;
     if (facetGroups && facetGroups.length) {
       const maxPerGender =
-        Number.isFinite(filters.limitPerGender) && filters.limitPerGender > 0
+        options.maxPerGender ??
+        (Number.isFinite(filters.limitPerGender) && filters.limitPerGender > 0
           ? filters.limitPerGender
-          : (filters.listAll ? 25 : 6);
+          : (filters.listAll ? 25 : 6));
 
-      const qualityFilter = filters.quality || 'any';
-      const genderFilter = filters.gender || 'any';
-
-      const out = [];
+      const sections = [];
 
       const renderGroup = (group) => {
         const gVoices = Array.isArray(group?.voices) ? group.voices : [];
         if (!gVoices.length) return;
 
         const title = `${String(facetAxis || group.facetType || 'facet').toUpperCase()}: ${String(group.facetLabel || group.facetKey || '').toUpperCase()}`;
-        out.push('```' + title + '```');
 
-        const sorted = [...gVoices].sort((a, b) => (ranking?.[b.voice_id] || 0) - (ranking?.[a.voice_id] || 0));
+        const sorted = [...gVoices].sort((a, b) => (ranking[b.voice_id] || 0) - (ranking[a.voice_id] || 0));
         const uniq = [];
         const seen = new Set();
         for (const v of sorted) {
@@ -5368,24 +6287,21 @@ function buildMessageFromSession(session) {
           const isHq = isHighQuality(v);
           if (qualityFilter === 'high_only' && !isHq) continue;
           if (qualityFilter === 'no_high' && isHq) continue;
+          if (onlyIds && !onlyIds.has(v.voice_id)) continue;
           const g = getGenderGroup(v);
           if (genderFilter !== 'any' && g !== genderFilter) continue;
           if (buckets[g].length < maxPerGender) buckets[g].push(v);
         }
 
-        const order = genderFilter !== 'any' ? [genderFilter] : ['female', 'male', 'other'];
-        const genderLabels = { female: labels.female, male: labels.male, other: labels.other };
-        for (const k of order) {
-          const arr = buckets[k] || [];
-          if (!arr.length) continue;
-          out.push(`*${genderLabels[k]}:*`);
-          for (const v of arr) {
-            const isHq = isHighQuality(v);
-            const prefix = qualityFilter === 'any' && isHq ? '[HQ] ' : '';
-            out.push(`- ${prefix}${formatVoiceLine(v)}`);
-          }
-          out.push('');
-        }
+        sections.push({
+          kind: 'facet',
+          key: String(group.facetKey || ''),
+          title,
+          markHq: qualityFilter === 'any',
+          groups: order
+            .filter((k) => (buckets[k] || []).length)
+            .map((k) => ({ gender: k, label: genderLabels[k], voices: buckets[k] }))
+        });
       };
 
       // Strict mode: if user asked for a specific variant, show only that variant.
@@ -5410,24 +6326,21 @@ function buildMessageFromSession(session) {
       } else {
         for (const g of facetGroups) renderGroup(g);
       }
-      const msg = out.join('\n');
-      return msg && String(msg).trim() ? msg : labels.noVoices;
+      return { sections };
     }
   } catch (_) {}
 
   const maxPerGender =
-    Number.isFinite(filters.limitPerGender) && filters.limitPerGender > 0
+    options.maxPerGender ??
+    (Number.isFinite(filters.limitPerGender) && filters.limitPerGender > 0
       ? filters.limitPerGender
-      : (filters.listAll ? 50 : 6);
+      : (filters.listAll ? 50 : 6));
 
   const sorted = [...voices].sort(
     (a, b) => (ranking[b.voice_id] || 0) - (ranking[a.voice_id] || 0)
   );
 
-  const qualityFilter = filters.quality || 'any';
-  const genderFilter = filters.gender || 'any';
-
-  const sections = {
+  const buckets = {
     standard: { female: [], male: [], other: [] },
     high: { female: [], male: [], other: [] }
   };
@@ -5449,61 +6362,51 @@ function buildMessageFromSession(session) {
 
     if (qualityFilter === 'high_only' && !isHq) return;
     if (qualityFilter === 'no_high' && isHq) return;
+    if (onlyIds && !onlyIds.has(v.voice_id)) return;
 
     const group = isHq ? 'high' : 'standard';
     const genderGroup = getGenderGroup(v);
 
     if (genderFilter !== 'any' && genderGroup !== genderFilter) return;
 
-    const arr = sections[group][genderGroup];
+    const arr = buckets[group][genderGroup];
     if (arr.length < maxPerGender) {
       arr.push(v);
     }
   });
 
-  const showStandardSection = qualityFilter !== 'high_only';
-  const showHighSection = qualityFilter !== 'no_high';
-
-  const lines = [];
+  // High quality first, then standard; empty sections are skipped entirely.
+  const sections = [];
+  const pushSection = (key, title) => {
+    const groups = order
+      .filter((k) => (buckets[key][k] || []).length)
+      .map((k) => ({ gender: k, label: genderLabels[k], voices: buckets[key][k] }));
+    if (groups.length) sections.push({ kind: 'quality', key, title, markHq: false, groups });
+  };
+  if (qualityFilter !== 'no_high') pushSection('high', labels.highHeader);
+  if (qualityFilter !== 'high_only') pushSection('standard', labels.standardHeader);
 
-  function appendSection(title, sectionKey) {
-    const groups = sections[sectionKey];
-    const order = genderFilter !== 'any' ? [genderFilter] : ['female', 'male', 'other'];
-    const genderLabels = {
-      female: labels.female,
-      male: labels.male,
-      other: labels.other
-    };
+  return { sections };
+}
 
-    const nonEmpty = order.filter((key) => (groups[key] || []).length > 0);
-    if (!nonEmpty.length) return; // skip entire section if empty
-
-    // Quality section titles as code blocks
-    const qualityTitle = sectionKey === 'standard' ? 'STANDARD:' : 'HIGH QUALITY:';
-    lines.push('```' + qualityTitle + '```');
-    nonEmpty.forEach((key) => {
-      const label = genderLabels[key];
-      const arr = groups[key];
-      lines.push(`*${label}:*`);
-      arr.forEach((v) => {
-        lines.push(`- ${formatVoiceLine(v)}`);
-      });
+function buildMessageFromSession(session) {
+  const labels = getLabels();
+  const { sections } = buildResultLayout(session);
+  const lines = [];
+  for (const section of sections) {
+    // Section titles as code blocks
+    const codeTitle = section.kind === 'facet' ? section.title : section.key === 'high' ? 'HIGH QUALITY:' : 'STANDARD:';
+    lines.push('```' + codeTitle + '```');
+    for (const group of section.groups) {
+      lines.push(`*${group.label}:*`);
+      for (const v of group.voices) {
+        const prefix = section.markHq && isHighQuality(v) ? '[HQ] ' : '';
+        lines.push(`- ${prefix}${formatVoiceLine(v)}`);
+      }
       lines.push('');
-    });
-  }
-
-  if (showStandardSection) {
-    // defer standard after high if both visible
-  }
-  if (showHighSection) {
-    appendSection(labels.highHeader, 'high');
-  }
-  if (showStandardSection) {
-    appendSection(labels.standardHeader, 'standard');
+    }
   }
 
-  // Removed follow-up hints/footers
-
   const msg = lines.join('\n');
   return msg && String(msg).trim() ? msg : labels.noVoices;
 }
@@ -5551,59 +6454,462 @@ function buildBlocksFromText(text) {
   return blocks;
 }
 
-// (Removed splitting helper; we now always send a single unified result message)
-
-function paramsToObject(params) {
-  const obj = {};
-  try {
-    for (const [k, v] of params.entries()) obj[k] = v;
-  } catch (_) {}
-  return obj;
+// -------------------------------------------------------------
+// Session voice lookup (cards, previews)
+// -------------------------------------------------------------
+function findSessionVoice(session, voiceId) {
+  const voices = Array.isArray(session?.voices) ? session.voices : [];
+  const direct = voices.find((v) => v?.voice_id === voiceId);
+  if (direct) return direct;
+  for (const g of Array.isArray(voices.facetGroups) ? voices.facetGroups : []) {
+    const hit = (Array.isArray(g?.voices) ? g.voices : []).find((v) => v?.voice_id === voiceId);
+    if (hit) return hit;
+  }
+  return null;
 }
 
-function splitMultiIntents(text) {
-  try {
-    const raw = (text || '').toString().trim();
-    if (!raw) return [];
-    // Split ONLY on explicit multi-brief formatting.
-    // Important: do NOT split on "and"/"oraz" because it commonly appears inside a single brief.
-    const lines = raw.split('\n').map((l) => l.trim()).filter((l) => l.length > 0);
-    if (lines.length < 2) return [];
-
-    const numberRe = /^\s*\d+\s*[\)\.\:]\s+/;      // 1) foo, 2. foo, 3: foo
-    const bulletRe = /^\s*[-*•]\s+/;              // - foo, * foo, • foo
-    const briefRe = /^\s*brief\s*[:\-]\s+/i;      // brief: foo, brief - foo
+// -------------------------------------------------------------
+// Block Kit voice cards
+// -------------------------------------------------------------
+// Result messages are rendered from buildResultLayout() as cards (one section + one actions block
+// per voice). Only the fixed labels are translated; voice names/metadata are shown as-is.
+// Anything above Slack's 50-block limit is split into follow-up messages ("Part 2/3") instead of dropped.
+const SLACK_MAX_BLOCKS = 50;
+const cardLabelsCache = new Map(); // lang -> labels
 
-    const isExplicitItem = (l) => numberRe.test(l) || bulletRe.test(l) || briefRe.test(l);
-    const explicitLines = lines.filter(isExplicitItem);
-    if (explicitLines.length < 2) return [];
+function getBaseCardLabels() {
+  const labels = getLabels();
+  return {
+    highHeader: labels.highHeader,
+    standardHeader: labels.standardHeader,
+    female: labels.female,
+    male: labels.male,
+    other: labels.other,
+    noVoices: labels.noVoices,
+    hq: 'High quality',
+    usage: 'Usage',
+    matched: 'Matched',
+    score: 'Score',
+    preview: 'Preview',
+    save: 'Save',
+    compare: 'Compare',
+    addToMyVoices: 'Add to My Voices',
+    addConfirm: 'Add this voice to our ElevenLabs account (My Voices)?',
+    cancel: 'Cancel',
+    openInLibrary: 'Voice Library',
+    part: 'Part',
+    summary: 'Voice suggestions',
+    prevPage: 'Previous page',
+    nextPage: 'Next page',
+    showing: 'Showing {from}–{to} of {total}',
+    hiddenByPolicy: '{count} voice(s) hidden by workspace policy',
+    channelDefaults: 'Channel defaults'
+  };
+}
 
-    const stripPrefix = (l) =>
-      l
-        .replace(numberRe, '')
-        .replace(bulletRe, '')
-        .replace(briefRe, '')
-        .trim();
+async function getCardLabels(uiLanguage) {
+  const base = getBaseCardLabels();
+  const lang = (uiLanguage || 'en').toString().toLowerCase().slice(0, 2);
+  if (lang === 'en') return base;
+  if (cardLabelsCache.has(lang)) return cardLabelsCache.get(lang);
+  const keys = Object.keys(base);
+  // One line per label keeps this to a single translation call; fall back to English on any mismatch.
+  const translated = await translateForUserLanguage(keys.map((k) => base[k]).join('\n'), lang);
+  const lines = String(translated || '').split('\n').map((l) => l.trim());
+  if (lines.length !== keys.length || lines.some((l) => !l)) return base;
+  const placeholders = { showing: ['{from}', '{to}', '{total}'], hiddenByPolicy: ['{count}'] };
+  for (const [key, phs] of Object.entries(placeholders)) {
+    const idx = keys.indexOf(key);
+    if (!phs.every((ph) => lines[idx].includes(ph))) lines[idx] = base[key];
+  }
+  const out = {};
+  keys.forEach((k, i) => {
+    out[k] = lines[i];
+  });
+  cardLabelsCache.set(lang, out);
+  return out;
+}
 
-    const out = explicitLines.map(stripPrefix).filter((s) => s.length > 0);
-    return out.length >= 2 ? out : [];
+function formatCompactNumber(n) {
+  const num = Number(n);
+  if (!Number.isFinite(num)) return '–';
+  try {
+    return new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(num);
   } catch (_) {
-    return [];
+    return String(num);
   }
 }
 
-function detectBilingualEnEs(userText) {
-  const lower = (userText || '').toLowerCase();
-  const hasBilingual = /\bbilingual\b/.test(lower) || /\ben\s*\/\s*es\b/.test(lower);
-  const hasEn = /\benglish\b|\ben\b/.test(lower);
-  const hasEs = /\bspanish\b|\bes\b/.test(lower);
-  return hasBilingual && hasEn && hasEs;
+function getVoiceChips(voice) {
+  const labels = voice?.labels && typeof voice.labels === 'object' ? voice.labels : {};
+  const chips = [
+    voice?.gender || labels.gender,
+    voice?.age || labels.age,
+    voice?.accent || labels.accent,
+    voice?.locale || voice?.language || labels.language
+  ];
+  const seen = new Set();
+  return chips
+    .map((c) => (c == null ? '' : String(c).trim()))
+    .filter((c) => {
+      const k = c.toLowerCase();
+      if (!c || seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
 }
 
-function extractNegativeTokens(userText) {
-  const lower = (userText || '').toLowerCase();
-  const neg = new Set();
-  const rules = [
+function buildVoiceCardBlocks(voice, session, cardLabels, options = {}) {
+  const l = cardLabels || getBaseCardLabels();
+  const url = `https://elevenlabs.io/app/voice-library?search=${encodeURIComponent(voice.voice_id)}`;
+  const lines = [];
+  const badge = options.showHqBadge !== false && isHighQuality(voice) ? `  :star: _${l.hq}_` : '';
+  lines.push(`*<${url}|${voice.name || voice.voice_id}>*${badge}  \`${voice.voice_id}\``);
+
+  const chips = getVoiceChips(voice);
+  if (chips.length) lines.push(chips.map((c) => `\`${c}\``).join(' '));
+
+  const u7 = voice.usage_character_count_7d;
+  const u1y = voice.usage_character_count_1y;
+  if (u7 != null || u1y != null) {
+    lines.push(`${l.usage}: 7d ${formatCompactNumber(u7)} · 1y ${formatCompactNumber(u1y)}`);
+  }
+
+  const meta = [];
+  const matched = Array.isArray(voice._matched_keywords) ? voice._matched_keywords.filter(Boolean) : [];
+  if (matched.length) meta.push(`${l.matched}: ${matched.slice(0, 6).join(', ')}`);
+  const score = session?.ranking ? session.ranking[voice.voice_id] : null;
+  if (typeof score === 'number' && Number.isFinite(score)) meta.push(`${l.score}: ${score.toFixed(2)}`);
+  if (meta.length) lines.push(meta.join(' · '));
+
+  const buttons = [];
+  if (voice.preview_url) {
+    buttons.push({
+      type: 'button',
+      action_id: `preview_voice:${voice.voice_id}`,
+      text: { type: 'plain_text', text: `▶ ${l.preview}`.slice(0, 75) },
+      value: voice.voice_id
+    });
+  }
+  buttons.push({
+    type: 'button',
+    action_id: `save_voice:${voice.voice_id}`,
+    text: { type: 'plain_text', text: `⭐ ${l.save}`.slice(0, 75), emoji: true },
+    value: voice.voice_id
+  });
+  buttons.push({
+    type: 'button',
+    action_id: `compare_add:${voice.voice_id}`,
+    text: { type: 'plain_text', text: `⚖️ ${l.compare}`.slice(0, 75), emoji: true },
+    value: voice.voice_id
+  });
+  if (voice.public_owner_id && isAddVoiceEnabled()) {
+    buttons.push({
+      type: 'button',
+      action_id: `add_voice:${voice.voice_id}`,
+      text: { type: 'plain_text', text: `➕ ${l.addToMyVoices}`.slice(0, 75), emoji: true },
+      value: voice.voice_id,
+      confirm: {
+        title: { type: 'plain_text', text: l.addToMyVoices.slice(0, 100) },
+        text: { type: 'mrkdwn', text: `*${voice.name || voice.voice_id}* – ${l.addConfirm}`.slice(0, 300) },
+        confirm: { type: 'plain_text', text: l.addToMyVoices.slice(0, 30) },
+        deny: { type: 'plain_text', text: l.cancel.slice(0, 30) }
+      }
+    });
+  }
+  buttons.push({
+    type: 'button',
+    action_id: `open_voice:${voice.voice_id}`,
+    text: { type: 'plain_text', text: l.openInLibrary.slice(0, 75) },
+    url
+  });
+
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n').slice(0, 3000) } },
+    { type: 'actions', elements: buttons }
+  ];
+}
+
+// -------------------------------------------------------------
+// Result paging (session.page)
+// -------------------------------------------------------------
+// The ranked pool (all voices that pass the current filters, best first) is sliced into pages;
+// each page is then grouped into the usual sections. An explicit "top N" (filters.limitPerGender)
+// keeps the old per-gender cap instead of paging.
+const RESULTS_PAGE_SIZE = Math.max(3, Math.min(24, readEnvNumber('RESULTS_PAGE_SIZE', 12)));
+
+function getResultPageSize(session) {
+  return session?.filters?.listAll ? RESULTS_PAGE_SIZE * 2 : RESULTS_PAGE_SIZE;
+}
+
+function getResultPool(session) {
+  const ranking = session.ranking || {};
+  const { sections } = buildResultLayout(session, { maxPerGender: Infinity });
+  const seen = new Set();
+  const pool = [];
+  for (const section of sections) {
+    for (const group of section.groups) {
+      for (const v of group.voices) {
+        if (v && v.voice_id && !seen.has(v.voice_id)) {
+          seen.add(v.voice_id);
+          pool.push(v);
+        }
+      }
+    }
+  }
+  return pool.sort((a, b) => (ranking[b.voice_id] || 0) - (ranking[a.voice_id] || 0));
+}
+
+function getResultPage(session) {
+  const filters = session?.filters || {};
+  if (Number.isFinite(filters.limitPerGender) && filters.limitPerGender > 0) return null;
+  const pool = getResultPool(session);
+  const size = getResultPageSize(session);
+  const pageCount = Math.max(1, Math.ceil(pool.length / size));
+  const index = Math.min(Math.max(0, Number(session.page?.index) || 0), pageCount - 1);
+  const start = index * size;
+  const items = pool.slice(start, start + size);
+  return {
+    index,
+    size,
+    pageCount,
+    total: pool.length,
+    start,
+    end: start + items.length,
+    ids: new Set(items.map((v) => v.voice_id)),
+    // Next is offered while the local pool lasts, or while the API may still have more.
+    hasNext: start + size < pool.length || sessionMayFetchMore(session)
+  };
+}
+
+// Before the first "fetch more" (no poolFetch yet) only a cut initial pool counts.
+function sessionMayFetchMore(session) {
+  if (session?.poolFetch && typeof session.poolFetch === 'object') return session.poolFetch.hasMore !== false;
+  return session?.voices?.hasMore === true;
+}
+
+function getPagedLayout(session) {
+  const page = getResultPage(session);
+  return page ? buildResultLayout(session, { maxPerGender: Infinity, onlyIds: page.ids }) : buildResultLayout(session);
+}
+
+// New result set (refetch, filter change): start again from the first page.
+function resetResultPaging(session) {
+  session.page = { index: 0 };
+  session.poolFetch = null;
+}
+
+// Units are kept together when paginating: section/gender headers travel with the first card below them.
+function buildResultBlockUnits(session, cardLabels) {
+  const l = cardLabels || getBaseCardLabels();
+  const { sections } = getPagedLayout(session);
+  const units = [];
+  for (const section of sections) {
+    if (!section.groups.length) continue;
+    const title =
+      section.kind === 'facet' ? section.title : section.key === 'high' ? l.highHeader : l.standardHeader;
+    let pending = [{ type: 'header', text: { type: 'plain_text', text: String(title).slice(0, 150) } }];
+    for (const group of section.groups) {
+      const genderLabel = l[group.gender] || group.label;
+      pending.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `*${genderLabel}*` }] });
+      for (const v of group.voices) {
+        units.push([...pending, ...buildVoiceCardBlocks(v, session, l, {
+          // Redundant inside the "High quality" section itself
+          showHqBadge: !(section.kind === 'quality' && section.key === 'high')
+        })]);
+        pending = [];
+      }
+    }
+  }
+  return units;
+}
+
+function paginateBlockUnits(units, maxBlocks = SLACK_MAX_BLOCKS) {
+  const pages = [];
+  let current = [];
+  for (const unit of units) {
+    if (current.length && current.length + unit.length > maxBlocks) {
+      pages.push(current);
+      current = [];
+    }
+    current = current.concat(unit.slice(0, maxBlocks));
+  }
+  if (current.length) pages.push(current);
+  return pages;
+}
+
+function countLayoutVoices(session) {
+  return getPagedLayout(session).sections.reduce(
+    (acc, s) => acc + s.groups.reduce((a, g) => a + g.voices.length, 0),
+    0
+  );
+}
+
+// Render the session's results into message pages. intro/outro are optional English mrkdwn notes
+// (e.g. "STRICT MATCHES" headers, soft-quality notes) and are translated as a whole.
+async function renderSessionResultPages(session, { intro = null, outro = null, controls = false } = {}) {
+  const cardLabels = await getCardLabels(session.uiLanguage);
+  const introText = intro ? await translateForUserLanguage(intro, session.uiLanguage) : null;
+  const outroText = outro ? await translateForUserLanguage(outro, session.uiLanguage) : null;
+  const note = (text) => ({ type: 'section', text: { type: 'mrkdwn', text: String(text).slice(0, 3000) } });
+
+  const units = buildResultBlockUnits(session, cardLabels);
+  if (!units.length) units.push([note(cardLabels.noVoices)]);
+  // Controls go on the first page so the message they live on stays stable across re-renders.
+  const controlBlocks = controls ? await buildControlsBlocks(session) : null;
+  if (controlBlocks) units.unshift(controlBlocks);
+  if (introText) units.unshift([note(introText)]);
+  const defaultsApplied = Array.isArray(session.keywordPlan?.__channelDefaults) ? session.keywordPlan.__channelDefaults : [];
+  if (defaultsApplied.length) {
+    units.unshift([
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `⚙️ ${cardLabels.channelDefaults}: ${defaultsApplied.join(' · ')}`.slice(0, 3000) }] }
+    ]);
+  }
+  if (outroText) units.push([note(outroText)]);
+  // Bucket sub-sessions (strict matches) carry the count of the full candidate list.
+  const policyHidden = Number(session.policyHidden ?? session.voices?.policyHidden) || 0;
+  if (policyHidden > 0) {
+    units.push([
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `🚫 ${cardLabels.hiddenByPolicy.replace('{count}', String(policyHidden))}` }] }
+    ]);
+  }
+
+  // Leave room for the "Part x/y" context block when results span several messages.
+  let pages = paginateBlockUnits(units, SLACK_MAX_BLOCKS);
+  if (pages.length > 1) pages = paginateBlockUnits(units, SLACK_MAX_BLOCKS - 1);
+  if (pages.length > 1) {
+    pages = pages.map((p, i) => [
+      ...p,
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `${cardLabels.part} ${i + 1}/${pages.length}` }] }
+    ]);
+  }
+
+  const count = countLayoutVoices(session);
+  const text = `${introText ? introText.replace(/`/g, '') + ' – ' : ''}${cardLabels.summary} (${count})`;
+  return { pages, text };
+}
+
+// Result messages that carry controls are tracked per thread (first message ts -> all page ts),
+// so control clicks can re-render them in place with chat.update.
+const MAX_RESULT_VIEWS_PER_SESSION = 10;
+
+function rememberResultView(session, view) {
+  session.resultViews = session.resultViews && typeof session.resultViews === 'object' ? session.resultViews : {};
+  session.resultViews[view.ts[0]] = view;
+  const keys = Object.keys(session.resultViews);
+  if (keys.length > MAX_RESULT_VIEWS_PER_SESSION) {
+    keys
+      .sort((a, b) => (session.resultViews[a].updatedAt || 0) - (session.resultViews[b].updatedAt || 0))
+      .slice(0, keys.length - MAX_RESULT_VIEWS_PER_SESSION)
+      .forEach((k) => delete session.resultViews[k]);
+  }
+}
+
+function findResultView(session, messageTs) {
+  const views = session?.resultViews && typeof session.resultViews === 'object' ? session.resultViews : {};
+  for (const view of Object.values(views)) {
+    if (view && Array.isArray(view.ts) && view.ts.includes(messageTs)) return view;
+  }
+  return null;
+}
+
+// controls: attach the interactive controls (only for the thread's live session, not derived views
+// like strict-match subsets or snapshots).
+async function postSessionResults(client, { channel, threadTs, session, intro = null, outro = null, controls = false }) {
+  const { pages, text } = await renderSessionResultPages(session, { intro, outro, controls });
+  const posted = [];
+  for (const blocks of pages) {
+    const res = await safePostMessage(client, { channel, thread_ts: threadTs, text, blocks });
+    if (res?.ts) posted.push(res.ts);
+  }
+  if (controls && posted.length) {
+    rememberResultView(session, { channel, ts: posted, intro, outro, updatedAt: Date.now() });
+    saveSession(threadTs, session);
+  }
+  return posted;
+}
+
+// Re-render the result message the user interacted with; pages are updated in place, extra pages
+// are posted and surplus ones deleted. Falls back to posting when the message isn't tracked.
+async function updateSessionResults(client, { channel, threadTs, session, messageTs }) {
+  const view = findResultView(session, messageTs);
+  if (!view) return await postSessionResults(client, { channel, threadTs, session, controls: true });
+
+  const { pages, text } = await renderSessionResultPages(session, { intro: view.intro, outro: view.outro, controls: true });
+  const nextTs = [];
+  for (let i = 0; i < pages.length; i++) {
+    if (i < view.ts.length) {
+      await client.chat.update({ channel: view.channel || channel, ts: view.ts[i], text, blocks: pages[i] });
+      nextTs.push(view.ts[i]);
+    } else {
+      const res = await safePostMessage(client, { channel: view.channel || channel, thread_ts: threadTs, text, blocks: pages[i] });
+      if (res?.ts) nextTs.push(res.ts);
+    }
+  }
+  for (const ts of view.ts.slice(pages.length)) {
+    try {
+      await client.chat.delete({ channel: view.channel || channel, ts });
+    } catch (_) {}
+  }
+  delete session.resultViews[view.ts[0]];
+  rememberResultView(session, { ...view, ts: nextTs, updatedAt: Date.now() });
+  saveSession(threadTs, session);
+  return nextTs;
+}
+
+// (Removed splitting helper; we now always send a single unified result message)
+
+function paramsToObject(params) {
+  const obj = {};
+  try {
+    for (const [k, v] of params.entries()) obj[k] = v;
+  } catch (_) {}
+  return obj;
+}
+
+function splitMultiIntents(text) {
+  try {
+    const raw = (text || '').toString().trim();
+    if (!raw) return [];
+    // Split ONLY on explicit multi-brief formatting.
+    // Important: do NOT split on "and"/"oraz" because it commonly appears inside a single brief.
+    const lines = raw.split('\n').map((l) => l.trim()).filter((l) => l.length > 0);
+    if (lines.length < 2) return [];
+
+    const numberRe = /^\s*\d+\s*[\)\.\:]\s+/;      // 1) foo, 2. foo, 3: foo
+    const bulletRe = /^\s*[-*•]\s+/;              // - foo, * foo, • foo
+    const briefRe = /^\s*brief\s*[:\-]\s+/i;      // brief: foo, brief - foo
+
+    const isExplicitItem = (l) => numberRe.test(l) || bulletRe.test(l) || briefRe.test(l);
+    const explicitLines = lines.filter(isExplicitItem);
+    if (explicitLines.length < 2) return [];
+
+    const stripPrefix = (l) =>
+      l
+        .replace(numberRe, '')
+        .replace(bulletRe, '')
+        .replace(briefRe, '')
+        .trim();
+
+    const out = explicitLines.map(stripPrefix).filter((s) => s.length > 0);
+    return out.length >= 2 ? out : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function detectBilingualEnEs(userText) {
+  const lower = (userText || '').toLowerCase();
+  const hasBilingual = /\bbilingual\b/.test(lower) || /\ben\s*\/\s*es\b/.test(lower);
+  const hasEn = /\benglish\b|\ben\b/.test(lower);
+  const hasEs = /\bspanish\b|\bes\b/.test(lower);
+  return hasBilingual && hasEn && hasEs;
+}
+
+function extractNegativeTokens(userText) {
+  const lower = (userText || '').toLowerCase();
+  const neg = new Set();
+  const rules = [
     { pat: /\bnot\s+whisper\b/, tok: 'whisper' },
     { pat: /\bno\s+whisper\b/, tok: 'whisper' },
     { pat: /\bbez\s+szeptu\b/, tok: 'whisper' },
@@ -5665,31 +6971,86 @@ async function buildControlsBlocks(session) {
     let b1 = `Featured only: ${featuredState}`;
     let b2 = 'Show more';
     let b3 = `Quality: ${qualityLabel}`;
+    let b4 = 'Post as new message';
+    let b5 = 'Export…';
+    let b6 = '🔔 Watch this search';
     b1 = await translateForUserLanguage(b1, uiLang);
     b2 = await translateForUserLanguage(b2, uiLang);
     b3 = await translateForUserLanguage(b3, uiLang);
-    return [
+    b4 = await translateForUserLanguage(b4, uiLang);
+    b5 = await translateForUserLanguage(b5, uiLang);
+    b6 = await translateForUserLanguage(b6, uiLang);
+    const featuredButton = {
+      type: 'button',
+      text: { type: 'plain_text', text: b1, emoji: true },
+      action_id: 'toggle_featured'
+    };
+    if (session.filters.featured) featuredButton.style = 'primary';
+    const qualityButton = {
+      type: 'button',
+      text: { type: 'plain_text', text: b3, emoji: true },
+      action_id: 'cycle_quality'
+    };
+    if (quality !== 'any') qualityButton.style = 'primary';
+    const blocks = [
       {
         type: 'actions',
-        elements: [
-          {
-            type: 'button',
-            text: { type: 'plain_text', text: b1, emoji: true },
-            action_id: 'toggle_featured'
-          },
-          {
-            type: 'button',
-            text: { type: 'plain_text', text: b2, emoji: true },
-            action_id: 'show_more'
-          },
-          {
-            type: 'button',
-            text: { type: 'plain_text', text: b3, emoji: true },
-            action_id: 'cycle_quality'
-          }
-        ]
+        elements: [featuredButton, qualityButton]
       }
     ];
+
+    // Paging replaces "Show more" unless the user asked for an explicit "top N" per gender.
+    const page = getResultPage(session);
+    if (page) {
+      const cardLabels = await getCardLabels(uiLang);
+      if (page.index > 0) {
+        blocks[0].elements.push({
+          type: 'button',
+          text: { type: 'plain_text', text: `◀ ${cardLabels.prevPage}`, emoji: true },
+          action_id: 'page_prev'
+        });
+      }
+      if (page.hasNext) {
+        blocks[0].elements.push({
+          type: 'button',
+          text: { type: 'plain_text', text: `${cardLabels.nextPage} ▶`, emoji: true },
+          action_id: 'page_next'
+        });
+      }
+      if (page.total) {
+        const showing = cardLabels.showing
+          .replace('{from}', String(page.start + 1))
+          .replace('{to}', String(page.end))
+          .replace('{total}', String(page.total));
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: showing }] });
+      }
+    } else {
+      blocks[0].elements.push({
+        type: 'button',
+        text: { type: 'plain_text', text: b2, emoji: true },
+        action_id: 'show_more'
+      });
+    }
+    blocks[0].elements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: b4, emoji: true },
+      action_id: 'post_snapshot'
+    });
+    blocks[0].elements.push({
+      type: 'static_select',
+      action_id: 'export_results',
+      placeholder: { type: 'plain_text', text: b5.slice(0, 150), emoji: true },
+      options: Object.entries(EXPORT_FORMATS).map(([value, f]) => ({
+        text: { type: 'plain_text', text: f.label },
+        value
+      }))
+    });
+    blocks[0].elements.push({
+      type: 'button',
+      text: { type: 'plain_text', text: b6, emoji: true },
+      action_id: 'watch_search'
+    });
+    return blocks;
   } catch (_) {
     return null;
   }
@@ -6281,7 +7642,7 @@ function cacheKeyFromParams(params) {
 }
 
 async function callSharedVoicesRaw(params) {
-  const url = `https://api.elevenlabs.io/v1/shared-voices?${params.toString()}`;
+  const url = `${ELEVENLABS_API_BASE_URL}/v1/shared-voices?${params.toString()}`;
   const res = await httpGetWithRetry(url, {
     headers: {
       'xi-api-key': process.env.ELEVENLABS_API_KEY,
@@ -6311,21 +7672,104 @@ async function callSharedVoicesCached(params, callFn) {
   }
 }
 
+// options.startPage continues an earlier scan; the result carries `hasMore` / `nextPage` for the next call.
 async function callSharedVoicesAllPages(baseParams, options = {}) {
   const pageSize = Number(baseParams.get('page_size') || '30');
   const maxPages = options.maxPages ?? 3;
   const cap = options.cap ?? 200;
+  const startPage = Math.max(0, Number(options.startPage) || 0);
   const out = [];
-  for (let page = 0; page < maxPages && out.length < cap; page++) {
+  let page = startPage;
+  let hasMore = true;
+  for (; page < startPage + maxPages && out.length < cap; page++) {
     const p = new URLSearchParams(baseParams.toString());
     p.set('page', String(page));
     const { voices, has_more } = await callSharedVoicesRaw(p);
     out.push(...voices);
-    if (!has_more || voices.length < pageSize) break;
+    if (!has_more || voices.length < pageSize) {
+      hasMore = false;
+      page++;
+      break;
+    }
   }
+  out.hasMore = hasMore;
+  out.nextPage = page;
   return out;
 }
 
+const POOL_FETCH_MAX_ROUNDS = 3; // x2 API pages per round
+
+// Extend a session's candidate pool once paging reaches the end of what was fetched.
+// One filter-based query (no per-keyword fan-out) is continued page by page via session.poolFetch;
+// new voices are ranked on their own and slotted below the existing ranking so earlier pages stay stable.
+async function fetchMoreVoicesForSession(session, traceCb) {
+  const trace = typeof traceCb === 'function' ? traceCb : () => {};
+  const plan = session.keywordPlan || {};
+  const filters = session.filters || {};
+  const language = (plan.target_voice_language || '').toString().toLowerCase().slice(0, 2) || null;
+  const state = session.poolFetch && typeof session.poolFetch === 'object' ? session.poolFetch : { nextPage: 0, hasMore: true };
+  if (state.hasMore === false) return 0;
+
+  const params = new URLSearchParams();
+  params.set('page_size', '50');
+  appendQueryFiltersToParams(params, plan, session.originalQuery, {
+    language,
+    accent: typeof plan.target_accent === 'string' ? plan.target_accent : null,
+    gender: filters.gender === 'male' || filters.gender === 'female' ? filters.gender : null,
+    qualityPref: filters.quality || 'any',
+    featured: filters.featured === true,
+    // Session sort names -> API sort keys; default to popularity so continuation pages stay relevant.
+    sort: { date_desc: 'created_date', usage_desc: 'usage_character_count_1y' }[filters.sort] || 'usage_character_count_1y',
+    traceCb: trace
+  });
+  const voices = Array.isArray(session.voices) ? session.voices : [];
+  const known = new Set(voices.map((v) => v?.voice_id));
+  for (const g of Array.isArray(voices.facetGroups) ? voices.facetGroups : []) {
+    for (const v of Array.isArray(g?.voices) ? g.voices : []) known.add(v?.voice_id);
+  }
+
+  // Batches that are all known or policy-hidden move on to the next one, but only for a few
+  // rounds – one click must not walk the whole library. poolFetch keeps the position for next time.
+  let fresh = [];
+  for (let round = 0; round < POOL_FETCH_MAX_ROUNDS && !fresh.length; round++) {
+    const from = session.poolFetch?.nextPage ?? state.nextPage;
+    const batch = await callSharedVoicesAllPages(params, { startPage: from, maxPages: 2, cap: 100 });
+    session.poolFetch = { nextPage: batch.nextPage, hasMore: batch.hasMore };
+    fresh = applyVoicePolicy(batch.filter((v) => v && v.voice_id && !known.has(v.voice_id)), trace);
+    if (fresh.policyHidden) voices.policyHidden = (Number(voices.policyHidden) || 0) + fresh.policyHidden;
+    try {
+      trace({ stage: 'page_fetch_more', params: { ...paramsToObject(params), round: String(round + 1) }, count: fresh.length });
+    } catch (_) {}
+    if (!batch.hasMore) break;
+  }
+  if (!fresh.length) return 0;
+
+  const ranked = await rankVoicesWithGPT(session.originalQuery, plan, fresh, trace);
+  const scores = Object.values(session.ranking || {}).filter((x) => typeof x === 'number' && x > 0);
+  const floor = scores.length ? Math.min(...scores) : 1;
+  session.ranking = session.ranking || {};
+  for (const v of fresh) {
+    const s = Number(ranked?.scoreMap?.[v.voice_id]) || 0;
+    session.ranking[v.voice_id] = floor * (0.5 + 0.49 * Math.max(0, Math.min(1, s)));
+    voices.push(v);
+  }
+
+  // Facet layouts render from facetGroups: file new voices under their matching variant.
+  if (Array.isArray(voices.facetGroups) && voices.facetGroups.length) {
+    const axis = voices.facetAxis === 'locale' ? 'locale' : 'accent';
+    const norm = axis === 'locale' ? normalizeLocaleToken : normalizeCatalogToken;
+    for (const v of fresh) {
+      const value = norm(v[axis] || '');
+      const group =
+        voices.facetGroups.find((g) => value && [g.facetKey, g.facetValue, g.facetLabel].some((k) => k && norm(k) === value)) ||
+        voices.facetGroups.find((g) => g?.facetKey === '__other__');
+      if (group && Array.isArray(group.voices)) group.voices.push(v);
+    }
+  }
+  session.voices = voices;
+  return fresh.length;
+}
+
 // -------------------------------------------------------------
 // Similar Voices helpers (by voice_id via preview_url)
 // -------------------------------------------------------------
@@ -6334,10 +7778,15 @@ function extractVoiceIdCandidate(text) {
   if (!text) return null;
   const lower = text.toLowerCase();
   const intent = /\b(similar|podobny|like)\b/.test(lower);
-  const idMatch = text.match(/([A-Za-z0-9]{18,})/g);
-  if (!intent || !idMatch) return null;
-  const candidate = idMatch.find((s) => /^[A-Za-z0-9]{18,}$/.test(s));
-  return candidate || null;
+  if (!intent) return null;
+  return extractVoiceIdCandidates(text)[0] || null;
+}
+
+// All voice_id-looking tokens in order of appearance (no intent word required).
+function extractVoiceIdCandidates(text) {
+  if (!text) return [];
+  const idMatch = String(text).match(/([A-Za-z0-9]{18,})/g) || [];
+  return Array.from(new Set(idMatch.filter((s) => /^[A-Za-z0-9]{18,}$/.test(s))));
 }
 
 async function fetchSharedVoiceByIdOrSearch(voiceId, traceCb) {
@@ -6347,7 +7796,7 @@ async function fetchSharedVoiceByIdOrSearch(voiceId, traceCb) {
     params.set('page_size', '10');
     params.set('search', voiceId);
 
-    const url = `https://api.elevenlabs.io/v1/shared-voices?${params.toString()}`;
+    const url = `${ELEVENLABS_API_BASE_URL}/v1/shared-voices?${params.toString()}`;
     const res = await httpGetWithRetry(url, {
       headers: { 'xi-api-key': XI_KEY, 'Content-Type': 'application/json' },
       timeout: 10000
@@ -6372,7 +7821,7 @@ async function fetchSharedVoiceByIdOrSearch(voiceId, traceCb) {
 async function fetchPrivateVoiceById(voiceId, traceCb) {
   const XI_KEY = process.env.ELEVENLABS_API_KEY;
   try {
-    const url = `https://api.elevenlabs.io/v1/voices/${encodeURIComponent(voiceId)}`;
+    const url = `${ELEVENLABS_API_BASE_URL}/v1/voices/${encodeURIComponent(voiceId)}`;
     const res = await httpGetWithRetry(url, {
       headers: { 'xi-api-key': XI_KEY, 'Content-Type': 'application/json' },
       timeout: 10000
@@ -6414,7 +7863,7 @@ function extractFirstSampleId(voice) {
 }
 
 async function downloadPrivateSampleToBuffer(voiceId, sampleId) {
-  const url = `https://api.elevenlabs.io/v1/voices/${encodeURIComponent(voiceId)}/samples/${encodeURIComponent(sampleId)}/audio`;
+  const url = `${ELEVENLABS_API_BASE_URL}/v1/voices/${encodeURIComponent(voiceId)}/samples/${encodeURIComponent(sampleId)}/audio`;
   const res = await axios.get(url, {
     responseType: 'arraybuffer',
     timeout: 20000,
@@ -6425,8 +7874,36 @@ async function downloadPrivateSampleToBuffer(voiceId, sampleId) {
   return Buffer.from(res.data);
 }
 
-async function findSimilarVoicesByVoiceId(voiceId, traceCb) {
-  const XI_KEY = process.env.ELEVENLABS_API_KEY;
+// POST /v1/similar-voices with a reference clip (voice preview/sample or an uploaded recording).
+// topK / threshold are sent only when set (see getSimilarSearchTuning); otherwise API defaults apply.
+async function querySimilarVoicesByAudio(audioBuf, { filename, contentType, source, topK, threshold } = {}, traceCb) {
+  const form = new FormData();
+  form.append('audio_file', audioBuf, { filename: filename || 'reference.mp3', contentType: contentType || 'audio/mpeg' });
+  if (Number.isFinite(topK)) form.append('top_k', String(topK));
+  if (Number.isFinite(threshold)) form.append('similarity_threshold', String(threshold));
+  const res = await axios.post(`${ELEVENLABS_API_BASE_URL}/v1/similar-voices`, form, {
+    headers: {
+      ...form.getHeaders(),
+      'xi-api-key': process.env.ELEVENLABS_API_KEY
+    },
+    timeout: 20000
+  });
+  const out = Array.isArray(res.data?.voices) ? res.data.voices : [];
+  try {
+    traceCb?.({
+      stage: 'similar_voices',
+      params: {
+        top_k: Number.isFinite(topK) ? String(topK) : 'default',
+        threshold: Number.isFinite(threshold) ? String(threshold) : 'default',
+        source: source || '-'
+      },
+      count: out.length
+    });
+  } catch (_) {}
+  return out;
+}
+
+async function findSimilarVoicesByVoiceId(voiceId, traceCb, tuning = {}) {
   try {
     // 1) Resolve base voice (shared, then private)
     const baseShared = await fetchSharedVoiceByIdOrSearch(voiceId, traceCb);
@@ -6486,23 +7963,11 @@ async function findSimilarVoicesByVoiceId(voiceId, traceCb) {
       });
     } catch (_) {}
 
-    const form = new FormData();
-    form.append('audio_file', audioBuf, { filename: `${voiceId}.mp3`, contentType: 'audio/mpeg' });
-    const res = await axios.post('https://api.elevenlabs.io/v1/similar-voices', form, {
-      headers: {
-        ...form.getHeaders(),
-        'xi-api-key': XI_KEY
-      },
-      timeout: 20000
-    });
-    const out = Array.isArray(res.data?.voices) ? res.data.voices : [];
-    try {
-      traceCb?.({
-        stage: 'similar_voices',
-        params: { top_k: 'default', source: audioSource || '-' },
-        count: out.length
-      });
-    } catch (_) {}
+    const out = await querySimilarVoicesByAudio(
+      audioBuf,
+      { filename: `${voiceId}.mp3`, contentType: 'audio/mpeg', source: audioSource, topK: tuning.topK, threshold: tuning.threshold },
+      traceCb
+    );
     return { voices: out, reason: 'ok' };
   } catch (err) {
     safeLogAxiosError('findSimilarVoicesByVoiceId', err);
@@ -6517,6 +7982,94 @@ async function findSimilarVoicesByVoiceId(voiceId, traceCb) {
   }
 }
 
+// Similar-voices tuning. Env defaults, overridable per request in the text:
+//   "similar to <id> top_k=40 threshold=0.6"
+// - SIMILAR_TOP_K (1–100; unset = API default; 50 when gender/quality/language post-filters apply)
+// - SIMILAR_THRESHOLD (0–2; lower = stricter)
+// - SIMILAR_MAX_REFERENCES (default 5) – reference voice_ids merged into one result set
+const SIMILAR_TOP_K = readEnvNumber('SIMILAR_TOP_K', null);
+const SIMILAR_FILTERED_TOP_K = 50;
+const SIMILAR_THRESHOLD = readEnvNumber('SIMILAR_THRESHOLD', null);
+const SIMILAR_MAX_REFERENCES = Math.max(1, readEnvNumber('SIMILAR_MAX_REFERENCES', 5));
+const SIMILAR_RRF_K = 60;
+
+function getSimilarSearchTuning(text, { filtered = false } = {}) {
+  const lower = (text || '').toString().toLowerCase();
+  const topKMatch = lower.match(/\btop[_\s-]?k\s*[=:]?\s*(\d{1,3})\b/);
+  const thresholdMatch = lower.match(/\b(?:similarity[_\s-]?)?threshold\s*[=:]?\s*(\d+(?:[.,]\d+)?)\b/);
+  let topK = topKMatch ? Number(topKMatch[1]) : SIMILAR_TOP_K;
+  if (!Number.isFinite(topK) && filtered) topK = SIMILAR_FILTERED_TOP_K;
+  let threshold = thresholdMatch ? Number(thresholdMatch[1].replace(',', '.')) : SIMILAR_THRESHOLD;
+  topK = Number.isFinite(topK) ? Math.max(1, Math.min(100, Math.round(topK))) : null;
+  threshold = Number.isFinite(threshold) ? Math.max(0, Math.min(2, threshold)) : null;
+  return { topK, threshold };
+}
+
+// Several references: query each, then merge with reciprocal rank fusion so voices close to more
+// than one reference rise to the top. References themselves are left out of the results.
+// Each returned voice carries `_similarity` = { score (0–1, best = 1), refs: matched reference count }.
+async function findSimilarVoicesByVoiceIds(voiceIds, traceCb, tuning = {}) {
+  const ids = Array.from(new Set((voiceIds || []).filter(Boolean))).slice(0, SIMILAR_MAX_REFERENCES);
+  const perRef = [];
+  const fused = new Map(); // voice_id -> { voice, score, refs }
+  for (const id of ids) {
+    const res = await findSimilarVoicesByVoiceId(id, traceCb, tuning);
+    const list = Array.isArray(res?.voices) ? res.voices : [];
+    perRef.push({ voiceId: id, reason: res?.reason || 'error', count: list.length });
+    list.forEach((v, rank) => {
+      if (!v?.voice_id || ids.includes(v.voice_id)) return;
+      const hit = fused.get(v.voice_id) || { voice: v, score: 0, refs: 0 };
+      hit.score += 1 / (SIMILAR_RRF_K + rank + 1);
+      hit.refs += 1;
+      fused.set(v.voice_id, hit);
+    });
+  }
+  const merged = Array.from(fused.values()).sort((a, b) => b.score - a.score);
+  const best = merged.length ? merged[0].score : 1;
+  const voices = merged.map((m) => {
+    m.voice._similarity = { score: best ? m.score / best : 0, refs: m.refs };
+    return m.voice;
+  });
+  try {
+    traceCb?.({
+      stage: 'similar_merge',
+      params: { references: String(ids.length), ok: String(perRef.filter((r) => r.count).length) },
+      count: voices.length
+    });
+  } catch (_) {}
+  const reason = voices.length ? 'ok' : perRef.length === 1 ? perRef[0].reason : 'no_matches';
+  return { voices, reason, perRef };
+}
+
+// Apply the brief's gender / quality / language to similar-voice matches (the endpoint only sees audio).
+// A stage that would remove everything is skipped and reported in `relaxed`.
+function postFilterSimilarVoices(voices, { gender, quality, iso2 } = {}, traceCb) {
+  let out = Array.isArray(voices) ? voices.slice() : [];
+  const relaxed = [];
+  const stages = [];
+  if (gender === 'male' || gender === 'female') {
+    stages.push(['gender', (v) => getGenderGroup(v) === gender]);
+  }
+  if (quality === 'high_only') stages.push(['quality', (v) => isHighQuality(v)]);
+  if (quality === 'no_high') stages.push(['quality', (v) => !isHighQuality(v)]);
+  const lang = (iso2 || '').toString().toLowerCase().slice(0, 2);
+  if (lang) {
+    stages.push([
+      'language',
+      (v) => voiceVerifiedEntriesForIso2(v, lang).length > 0 || extractIso2FromLanguageField(v?.language) === lang
+    ]);
+  }
+  for (const [name, keep] of stages) {
+    const next = out.filter(keep);
+    try {
+      traceCb?.({ stage: 'similar_post_filter', params: { filter: name, before: String(out.length) }, count: next.length });
+    } catch (_) {}
+    if (next.length) out = next;
+    else if (out.length) relaxed.push(name);
+  }
+  return { voices: out, relaxed };
+}
+
 function buildSearchReport(trace, plan, mode, summary) {
   try {
     const lines = [];
@@ -6638,6 +8191,26 @@ function buildSearchReport(trace, plan, mode, summary) {
       }
     } catch (_) {}
 
+    // LLM output validation (schema failures / repairs per task)
+    try {
+      const checks = trace.filter((t) => t && t.stage === 'llm_validation');
+      const failed = checks.filter((t) => t.params?.ok === 'false');
+      if (failed.length) {
+        const byTask = new Map();
+        for (const t of checks) {
+          const task = t.params?.task || '?';
+          const attempt = t.params?.attempt;
+          if (attempt === 'warning') continue;
+          const state =
+            attempt === 'use_initial' ? 'kept first reply' : attempt === 'repair' ? (t.params?.ok === 'true' ? 'repaired' : 'failed') : t.params?.ok === 'true' ? 'valid' : 'invalid';
+          byTask.set(task, state);
+        }
+        lines.push(`LLM validation: ${Array.from(byTask.entries()).map(([task, state]) => `${task}=${state}`).join(', ')}`);
+        failed.slice(0, 3).forEach((t) => lines.push(`• ${t.params?.task} (${t.params?.attempt}): ${t.params?.errors || '-'}`));
+        lines.push('');
+      }
+    } catch (_) {}
+
     const max = Math.min(trace.length, 30);
     for (let i = 0; i < max; i++) {
       const t = trace[i];
@@ -6676,40 +8249,208 @@ function buildSearchReport(trace, plan, mode, summary) {
 }
 
 // -------------------------------------------------------------
-// DEV-only regression assertions (no external deps)
+// Reference audio uploads (similar voices from an attached recording)
 // -------------------------------------------------------------
-function devAssert(cond, msg) {
-  if (!cond) throw new Error(`DEV_ASSERT failed: ${msg}`);
-}
+// An mp3/wav/m4a attached to a mention (or DM) is downloaded with the bot token and sent to
+// /v1/similar-voices; the matches then go through the normal ranking + rendering path.
+//
+// Required Slack scopes:
+// - files:read
+//
+// Env:
+// - SIMILAR_AUDIO_MAX_BYTES (default 10 MB)
+// - SIMILAR_AUDIO_MAX_SECONDS (default 120)
+const SIMILAR_AUDIO_MAX_BYTES = readEnvNumber('SIMILAR_AUDIO_MAX_BYTES', 10 * 1024 * 1024);
+const SIMILAR_AUDIO_MAX_SECONDS = readEnvNumber('SIMILAR_AUDIO_MAX_SECONDS', 120);
+const REFERENCE_AUDIO_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4'
+};
 
-function runDevAsserts() {
-  const enabled = String(process.env.DEV_ASSERTS || '').trim().toLowerCase();
-  if (!(enabled === 'true' || enabled === '1' || enabled === 'yes')) return;
+function getReferenceAudioKind(file) {
+  const name = (file?.name || '').toString().toLowerCase();
+  const ext = (name.match(/\.([a-z0-9]+)$/) || [])[1] || '';
+  const filetype = (file?.filetype || '').toString().toLowerCase();
+  const mime = (file?.mimetype || '').toString().toLowerCase();
+  if (ext === 'mp3' || filetype === 'mp3' || mime === 'audio/mpeg' || mime === 'audio/mp3') return 'mp3';
+  if (ext === 'wav' || filetype === 'wav' || mime === 'audio/wav' || mime === 'audio/x-wav' || mime === 'audio/wave') return 'wav';
+  if (ext === 'm4a' || filetype === 'm4a' || mime === 'audio/mp4' || mime === 'audio/x-m4a' || mime === 'audio/m4a') return 'm4a';
+  return null;
+}
 
-  // Multi-intent should NOT split on conjunctions
-  devAssert(splitMultiIntents('expressive and engaging and fast-paced').length === 0, 'no split on "and"');
+function pickReferenceAudioFile(files) {
+  const list = Array.isArray(files) ? files : [];
+  return list.find((f) => f && getReferenceAudioKind(f)) || null;
+}
 
-  // Multi-intent should split on explicit list formats
-  devAssert(
-    splitMultiIntents('1) first brief\n2) second brief').length === 2,
-    'split numbered list'
-  );
-  devAssert(
-    splitMultiIntents('- first brief\n- second brief').length === 2,
-    'split bullet list'
-  );
-  devAssert(
-    splitMultiIntents('brief: first\nbrief: second').length === 2,
-    'split brief: list'
-  );
+// Container-level duration (no decoding): WAV data/byteRate, MP3 Xing/Info frame count or CBR
+// estimate, M4A mvhd. Returns seconds or null when the header can't be read.
+function estimateAudioDurationSeconds(buf, kind) {
+  try {
+    if (!Buffer.isBuffer(buf) || buf.length < 16) return null;
+    if (kind === 'wav') {
+      if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return null;
+      let off = 12;
+      let byteRate = 0;
+      while (off + 8 <= buf.length) {
+        const id = buf.toString('ascii', off, off + 4);
+        const size = buf.readUInt32LE(off + 4);
+        if (id === 'fmt ' && off + 16 <= buf.length) byteRate = buf.readUInt32LE(off + 16);
+        if (id === 'data') {
+          const dataSize = Math.min(size, buf.length - off - 8);
+          return byteRate ? dataSize / byteRate : null;
+        }
+        off += 8 + size + (size % 2);
+      }
+      return null;
+    }
+    if (kind === 'm4a') {
+      const i = buf.indexOf('mvhd');
+      if (i < 4 || i + 32 > buf.length) return null;
+      const version = buf[i + 4];
+      const timescale = version === 1 ? buf.readUInt32BE(i + 24) : buf.readUInt32BE(i + 16);
+      const duration = version === 1 ? Number(buf.readBigUInt64BE(i + 28)) : buf.readUInt32BE(i + 20);
+      return timescale ? duration / timescale : null;
+    }
+    if (kind === 'mp3') {
+      let off = 0;
+      if (buf.toString('ascii', 0, 3) === 'ID3') {
+        const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+        off = 10 + size + (buf[5] & 0x10 ? 10 : 0);
+      }
+      while (off + 4 <= buf.length && !(buf[off] === 0xff && (buf[off + 1] & 0xe0) === 0xe0)) off++;
+      if (off + 4 > buf.length) return null;
+      const versionBits = (buf[off + 1] >> 3) & 3; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+      const layerBits = (buf[off + 1] >> 1) & 3; // 1 = Layer III
+      if (layerBits !== 1 || versionBits === 1) return null;
+      const mpeg1 = versionBits === 3;
+      const bitrates = mpeg1
+        ? [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+        : [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+      const rates = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] }[versionBits];
+      const bitrate = bitrates[buf[off + 2] >> 4] || 0;
+      const sampleRate = rates[(buf[off + 2] >> 2) & 3] || 0;
+      if (!sampleRate) return null;
+      const mono = (buf[off + 3] >> 6) === 3;
+      const xingOff = off + 4 + (mpeg1 ? (mono ? 17 : 32) : mono ? 9 : 17);
+      const tag = xingOff + 12 <= buf.length ? buf.toString('ascii', xingOff, xingOff + 4) : '';
+      if ((tag === 'Xing' || tag === 'Info') && buf.readUInt32BE(xingOff + 4) & 1) {
+        const frames = buf.readUInt32BE(xingOff + 8);
+        return (frames * (mpeg1 ? 1152 : 576)) / sampleRate;
+      }
+      return bitrate ? ((buf.length - off) * 8) / (bitrate * 1000) : null;
+    }
+  } catch (_) {}
+  return null;
+}
 
-  // Language should not accidentally infer from common words
-  const h1 = parseUserLanguageHints('I want to find a voice');
-  devAssert(!h1.iso2, 'do not infer iso2 from common words');
+// Returns { ok:true, buffer, kind, filename, contentType, seconds } or { ok:false, reason } with a
+// user-facing English reason.
+async function downloadReferenceAudio(file) {
+  const kind = getReferenceAudioKind(file);
+  if (!kind) return { ok: false, reason: 'Please attach an mp3, wav or m4a file.' };
+  const maxMb = (SIMILAR_AUDIO_MAX_BYTES / (1024 * 1024)).toFixed(0);
+  if (Number(file.size) > SIMILAR_AUDIO_MAX_BYTES) {
+    return { ok: false, reason: `The file is too large (max ${maxMb} MB).` };
+  }
+  const url = file.url_private_download || file.url_private;
+  if (!url) return { ok: false, reason: "I couldn't access the file (missing download URL)." };
 
-  // Explicit ISO2 should work (even without dynamic index)
-  const h2 = parseUserLanguageHints('lang=en');
-  devAssert(h2.iso2 === 'en', 'explicit lang=en parses');
+  const res = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 20000,
+    maxContentLength: SIMILAR_AUDIO_MAX_BYTES,
+    headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` }
+  });
+  const buffer = Buffer.from(res.data);
+  // Without files:read Slack answers with an HTML login page instead of the file.
+  if (/text\/html/i.test(String(res.headers?.['content-type'] || ''))) {
+    return { ok: false, reason: "I couldn't download the file (the bot may be missing the files:read scope)." };
+  }
+  const seconds = Number(file.duration_ms) > 0 ? Number(file.duration_ms) / 1000 : estimateAudioDurationSeconds(buffer, kind);
+  if (seconds !== null && seconds > SIMILAR_AUDIO_MAX_SECONDS) {
+    return { ok: false, reason: `The recording is too long (${Math.round(seconds)} s; max ${SIMILAR_AUDIO_MAX_SECONDS} s). Please trim it.` };
+  }
+  return {
+    ok: true,
+    buffer,
+    kind,
+    filename: (file.name || `reference.${kind}`).toString(),
+    contentType: REFERENCE_AUDIO_TYPES[kind],
+    seconds
+  };
+}
+
+async function findSimilarVoicesByAudio(referenceAudio, traceCb, tuning = {}) {
+  try {
+    try {
+      traceCb?.({
+        stage: 'similar_base_audio',
+        params: { ok: 'true', source: 'upload', kind: referenceAudio.kind, seconds: referenceAudio.seconds == null ? '-' : referenceAudio.seconds.toFixed(1) },
+        count: 1
+      });
+    } catch (_) {}
+    const out = await querySimilarVoicesByAudio(
+      referenceAudio.buffer,
+      {
+        filename: referenceAudio.filename,
+        contentType: referenceAudio.contentType,
+        source: 'upload',
+        topK: tuning.topK,
+        threshold: tuning.threshold
+      },
+      traceCb
+    );
+    return { voices: out, reason: 'ok' };
+  } catch (err) {
+    safeLogAxiosError('findSimilarVoicesByAudio', err);
+    try {
+      traceCb?.({
+        stage: 'similar_voices',
+        params: { ok: 'false', reason: err?.response?.status ? String(err.response.status) : 'error' },
+        count: 0
+      });
+    } catch (_) {}
+    return { voices: [], reason: 'error' };
+  }
+}
+
+// -------------------------------------------------------------
+// DEV-only regression assertions (no external deps)
+// -------------------------------------------------------------
+function devAssert(cond, msg) {
+  if (!cond) throw new Error(`DEV_ASSERT failed: ${msg}`);
+}
+
+function runDevAsserts() {
+  const enabled = String(process.env.DEV_ASSERTS || '').trim().toLowerCase();
+  if (!(enabled === 'true' || enabled === '1' || enabled === 'yes')) return;
+
+  // Multi-intent should NOT split on conjunctions
+  devAssert(splitMultiIntents('expressive and engaging and fast-paced').length === 0, 'no split on "and"');
+
+  // Multi-intent should split on explicit list formats
+  devAssert(
+    splitMultiIntents('1) first brief\n2) second brief').length === 2,
+    'split numbered list'
+  );
+  devAssert(
+    splitMultiIntents('- first brief\n- second brief').length === 2,
+    'split bullet list'
+  );
+  devAssert(
+    splitMultiIntents('brief: first\nbrief: second').length === 2,
+    'split brief: list'
+  );
+
+  // Language should not accidentally infer from common words
+  const h1 = parseUserLanguageHints('I want to find a voice');
+  devAssert(!h1.iso2, 'do not infer iso2 from common words');
+
+  // Explicit ISO2 should work (even without dynamic index)
+  const h2 = parseUserLanguageHints('lang=en');
+  devAssert(h2.iso2 === 'en', 'explicit lang=en parses');
 
   // Locale should parse
   const h3 = parseUserLanguageHints('pt-BR');
@@ -6791,6 +8532,290 @@ function runDevAsserts() {
   );
   const kw1 = pruneNegativesFromList(['audiobook', 'clear', 'documentary'], Array.from(n1));
   devAssert(!kw1.includes('audiobook'), 'negatives: audiobook pruned from selected keywords');
+
+  // Session store round-trip must keep facet groups attached to the voices array
+  {
+    const voices = [{ voice_id: 'a1' }, { voice_id: 'b2' }];
+    voices.facetGroups = [{ facetKey: 'x', facetLabel: 'X', voices: [voices[1]] }];
+    voices.facetAxis = 'accent';
+    const back = deserializeSession(serializeSession({ voices, filters: { quality: 'any' }, lastActive: 1 }));
+    devAssert(back.voices.length === 2 && back.voices.facetAxis === 'accent', 'session store: voices + props restored');
+    devAssert(back.voices.facetGroups?.[0]?.voices?.[0] === back.voices[1], 'session store: facet group members rehydrated');
+  }
+
+  // /voices modal: structured fields become a brief the text helpers understand + plan overrides
+  {
+    const fields = { brief: 'calm narrator', iso2: 'pl', accent: 'silesian', gender: 'female', age: 'young', quality: 'high_only', useCase: 'narration' };
+    const brief = buildBriefFromStructuredFields(fields);
+    devAssert(parseUserLanguageHints(brief)?.iso2 === 'pl', 'modal brief: language detectable');
+    devAssert(detectAgeFromText(brief) === 'young', 'modal brief: age detectable');
+    const plan = applyPlanOverrides({ target_gender: null, use_case_keywords: ['audiobook'] }, buildPlanOverridesFromFields(fields));
+    devAssert(plan.target_gender === 'female' && plan.target_accent === 'silesian', 'modal overrides: gender + accent applied');
+    devAssert(plan.use_case_keywords[0] === 'narration' && plan.use_case_keywords.includes('audiobook'), 'modal overrides: use case merged first');
+  }
+
+  // Voice cards: pagination must respect the 50-block limit without dropping any card
+  {
+    const voices = [];
+    for (let i = 0; i < 60; i++) voices.push({ voice_id: `c${i}`, name: `c${i}`, gender: i % 2 ? 'male' : 'female' });
+    const session = { voices, ranking: {}, filters: { quality: 'any', gender: 'any', limitPerGender: 30 } };
+    const units = buildResultBlockUnits(session, getBaseCardLabels());
+    const pages = paginateBlockUnits(units, SLACK_MAX_BLOCKS - 1);
+    const cards = pages.flat().filter((b) => b.type === 'actions').length;
+    devAssert(pages.length > 1 && pages.every((p) => p.length <= SLACK_MAX_BLOCKS - 1), 'cards: pages within block limit');
+    devAssert(cards === countLayoutVoices(session), 'cards: every displayed voice rendered');
+  }
+
+  // Paging: pages slice the ranked pool without gaps or overlaps
+  {
+    const voices = [];
+    const ranking = {};
+    for (let i = 0; i < 30; i++) {
+      voices.push({ voice_id: `p${i}`, name: `p${i}`, gender: i % 3 ? 'male' : 'female' });
+      ranking[`p${i}`] = 1 - i / 30;
+    }
+    const session = { voices, ranking, filters: { quality: 'any', gender: 'any' }, page: { index: 1 } };
+    const page = getResultPage(session);
+    const size = getResultPageSize(session);
+    devAssert(page.start === size && page.total === 30, 'paging: second page offset');
+    devAssert(page.ids.has(`p${size}`) && !page.ids.has(`p${size - 1}`), 'paging: slice follows ranking');
+    devAssert(countLayoutVoices(session) === Math.min(size, 30 - size), 'paging: layout limited to page');
+    const single = { voices: voices.slice(0, 3), ranking, filters: { quality: 'any', gender: 'any' } };
+    devAssert(getResultPage(single).hasNext === false, 'paging: no Next when the pool fits and more is unknown');
+    single.voices.hasMore = true;
+    devAssert(getResultPage(single).hasNext === true, 'paging: Next when the first pool was cut');
+    single.poolFetch = { nextPage: 4, hasMore: false };
+    devAssert(getResultPage(single).hasNext === false, 'paging: Next hidden once the API is exhausted');
+  }
+
+  // Facet clarification: one button per option plus the "any" escape; typed "any" matches it
+  {
+    const pending = {
+      type: 'accent',
+      iso2: 'en',
+      options: [
+        { value: 'british', label: 'british', count: 1200 },
+        { value: 'american', label: 'american', count: 900 }
+      ]
+    };
+    const blocks = buildFacetClarifyBlocks(pending, 'Pick one', 'Any accent') || [];
+    const actions = blocks.find((b) => b.type === 'actions');
+    const ids = (actions?.elements || []).map((e) => e.action_id);
+    devAssert(ids.join(',') === 'facet_pick:0,facet_pick:1,facet_pick:any', 'facet buttons: options + any');
+    devAssert(resolveFacetChoiceFromText('any accent', pending) === FACET_ANY_CHOICE, 'facet text: any escape');
+    devAssert(resolveFacetChoiceFromText('2', pending)?.value === 'american', 'facet text: numeric pick');
+  }
+
+  // Shortlist commands: names may contain spaces; voice ids are pulled out of the text
+  {
+    const id = 'AbCdEfGhIjKlMnOpQrSt';
+    const rm = parseShortlistCommand(`remove ${id} from Audiobook casting Q4`);
+    devAssert(rm.action === 'remove' && rm.name === 'Audiobook casting Q4' && rm.voiceIds[0] === id, 'shortlist: remove parse');
+    const share = parseShortlistCommand('share Audiobook casting Q4 to <#C0123|casting>');
+    devAssert(share.channel === 'C0123' && share.name === 'Audiobook casting Q4', 'shortlist: share parse');
+    devAssert(parseShortlistCommand('').action === 'list', 'shortlist: bare command lists');
+    devAssert(parseShortlistCommand('5 calm British narrators') === null, 'shortlist: unknown verb is not a command');
+    devAssert(shortlistSlug('Audiobook  casting – Q4!') === 'audiobook-casting-q4', 'shortlist: slug');
+  }
+
+  // Export: intent formats and CSV quoting
+  {
+    devAssert(detectExportIntent('export json') === 'json' && detectExportIntent('export') === 'csv', 'export: intent format');
+    devAssert(detectExportIntent('only female') === null, 'export: no false positive');
+    const row = voiceToExportRow(
+      { voice_id: 'v1', name: 'Ann, "the" voice', verified_languages: [{ language: 'en', locale: 'en-GB', accent: 'british' }] },
+      { rank: 1, score: 0.5, matched: ['calm', 'warm'] }
+    );
+    const csv = buildExportContent([row], 'csv').replace(/^\ufeff/, '').split('\r\n');
+    devAssert(csv[0] === EXPORT_COLUMNS.join(','), 'export: csv header');
+    devAssert(csv[1].includes('"Ann, ""the"" voice"') && csv[1].includes('en-GB (british)') && csv[1].includes('calm; warm'), 'export: csv row');
+    const formula = buildExportContent([{ ...row, name: '=HYPERLINK("http://x")', score: -0.5 }], 'csv').split('\r\n')[1];
+    devAssert(formula.includes(`"'=HYPERLINK(""http://x"")"`) && formula.includes(',-0.5'), 'export: csv formula cells defused');
+  }
+
+  // Auditions: "audition [top N]: <script>"
+  {
+    const audition = parseAuditionRequest('audition top 5: Hello there');
+    devAssert(audition && audition.count === 5 && audition.script === 'Hello there', 'audition: parse count + script');
+    devAssert(parseAuditionRequest('auditions are great') === null, 'audition: needs a colon');
+  }
+
+  // Compare: ids are collected (deduped, capped); a bare "compare" falls back to the picks
+  {
+    const a = 'AbCdEfGhIjKlMnOpQrSt';
+    const b = 'ZyXwVuTsRqPoNmLkJiHg';
+    devAssert(parseCompareRequest(`compare ${a} ${b} ${a}`).voiceIds.join(',') === `${a},${b}`, 'compare: ids');
+    devAssert(parseCompareRequest('compare', { compareIds: [a, b] }).voiceIds.length === 0, 'compare: bare command uses the picks');
+    devAssert(parseCompareRequest('compare') === null, 'compare: bare command without picks is not a compare');
+    devAssert(parseCompareRequest('compare voices for a kids podcast', { compareIds: [a] }) === null, 'compare: brief starting with compare is a search');
+    devAssert(parseCompareRequest('british narrator') === null, 'compare: no false positive');
+  }
+
+  // Reference audio: type detection + WAV duration from the header
+  {
+    devAssert(getReferenceAudioKind({ name: 'Client Ref.M4A' }) === 'm4a', 'ref audio: m4a by extension');
+    devAssert(getReferenceAudioKind({ name: 'notes.pdf', mimetype: 'application/pdf' }) === null, 'ref audio: rejects non-audio');
+    const wav = Buffer.alloc(44 + 32000);
+    wav.write('RIFF', 0, 'ascii');
+    wav.writeUInt32LE(36 + 32000, 4);
+    wav.write('WAVEfmt ', 8, 'ascii');
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20);
+    wav.writeUInt16LE(1, 22);
+    wav.writeUInt32LE(16000, 24);
+    wav.writeUInt32LE(32000, 28);
+    wav.write('data', 36, 'ascii');
+    wav.writeUInt32LE(32000, 40);
+    devAssert(Math.abs(estimateAudioDurationSeconds(wav, 'wav') - 1) < 0.01, 'ref audio: wav duration');
+  }
+
+  // Voice id extraction: the shortcut path needs no "similar" wording; the text path still does
+  {
+    const id = 'AbCdEfGhIjKlMnOpQrSt';
+    devAssert(extractVoiceIdCandidates(`try <https://elevenlabs.io/app/voice-library?search=${id}|Ava>`)[0] === id, 'voice ids: from link');
+    devAssert(extractVoiceIdCandidate(`what about ${id}`) === null, 'voice ids: text path needs intent');
+  }
+
+  // Similar-voice tuning + post-filters (a filter that would empty the list is relaxed)
+  {
+    const tuning = getSimilarSearchTuning('similar to X top_k=40 threshold 0,6');
+    devAssert(tuning.topK === 40 && tuning.threshold === 0.6, 'similar: tuning from text');
+    devAssert(getSimilarSearchTuning('top_k=500').topK === 100, 'similar: top_k clamped');
+    const voices = [
+      { voice_id: 'a', gender: 'female', language: 'en' },
+      { voice_id: 'b', gender: 'male', language: 'en' },
+      { voice_id: 'c', gender: 'female', language: 'de' }
+    ];
+    const post = postFilterSimilarVoices(voices, { gender: 'female', quality: 'any', iso2: 'pl' });
+    devAssert(post.voices.map((v) => v.voice_id).join(',') === 'a,c', 'similar: gender post-filter');
+    devAssert(post.relaxed.join(',') === 'language', 'similar: empty language filter relaxed');
+  }
+
+  // Voice policy: command parsing + voice entries beat owner entries
+  {
+    const cmd = parseVoicePolicyCommand('block owner:abcdef0123 celebrity soundalike');
+    devAssert(cmd.action === 'block' && cmd.kind === 'owner' && cmd.id === 'abcdef0123', 'voice policy: parse owner block');
+    devAssert(cmd.reason === 'celebrity soundalike', 'voice policy: parse reason');
+    devAssert(parseVoicePolicyCommand('unblock AbCdEf1234567890WXYZ').action === 'remove', 'voice policy: unblock = remove');
+    devAssert(parseVoicePolicyCommand('list blocked').list === 'block', 'voice policy: list filter');
+    const policy = {
+      voice: new Map([['v-allowed', { list: 'allow' }], ['v-blocked', { list: 'block' }]]),
+      owner: new Map([['o1', { list: 'block' }]]),
+      size: 3
+    };
+    devAssert(isVoiceHiddenByPolicy({ voice_id: 'v-blocked' }, policy), 'voice policy: voice block');
+    devAssert(isVoiceHiddenByPolicy({ voice_id: 'x', public_owner_id: 'o1' }, policy), 'voice policy: owner block');
+    devAssert(!isVoiceHiddenByPolicy({ voice_id: 'v-allowed', public_owner_id: 'o1' }, policy), 'voice policy: voice allow beats owner block');
+  }
+
+  // Saved searches: intent + command parsing
+  {
+    devAssert(detectWatchIntent('watch this search') && detectWatchIntent('please notify me about new voices'), 'watch: intent');
+    devAssert(!detectWatchIntent('watch out, only female'), 'watch: no false positive');
+    devAssert(detectWatchIntent('watch this!') && !detectWatchIntent('watch this one, but only female'), 'watch: bare "watch this" only');
+    devAssert(parseSavedSearchCommand('pause 1A2b3c').action === 'pause', 'watch: pause');
+    devAssert(parseSavedSearchCommand('remove 1a2b3c').action === 'delete', 'watch: remove = delete');
+    devAssert(parseSavedSearchCommand('').action === 'list', 'watch: default list');
+  }
+
+  // Digest: command parsing, mover score, accent grouping
+  {
+    const cmd = parseDigestCommand('add es, pt and polish');
+    devAssert(cmd.action === 'add' && cmd.languages.join('|') === 'es|pt|polish', 'digest: parse languages');
+    devAssert(parseDigestCommand('').action === 'list', 'digest: default list');
+    devAssert(resolveLanguageCode('ES') === 'es' && resolveLanguageCode('xx') === null, 'digest: iso2 validation');
+    devAssert(voiceUsageMoverScore({ usage_character_count_7d: 100, usage_character_count_1y: 52 * 100 }) === 0, 'digest: steady voice is no mover');
+    const groups = groupVoicesByAccentForDigest([{ voice_id: 'a', accent: '' }, { voice_id: 'b', accent: 'x' }], 'zz');
+    devAssert(groups[groups.length - 1].key === '__other__', 'digest: unknown accents last');
+  }
+
+  // Channel defaults: command parsing + explicit brief text wins per field
+  {
+    const cmd = parseChannelDefaultsCommand('set language=es quality=high negatives=cartoon, robotic gender=robot');
+    devAssert(cmd.changes.iso2 === 'es' && cmd.changes.quality === 'high_only', 'channel defaults: parse set');
+    devAssert(cmd.changes.negatives.join('|') === 'cartoon|robotic' && cmd.errors.length === 1, 'channel defaults: lists + errors');
+    const defaults = { iso2: 'es', quality: 'high_only', gender: 'female', negatives: ['cartoon'] };
+    const resolved = resolveChannelDefaultsForBrief(defaults, 'warm male narrator');
+    devAssert(resolved && !resolved.applied.gender && resolved.applied.iso2 === 'es', 'channel defaults: user gender wins');
+    devAssert(hasExplicitLanguageMention(resolved.suffix) && detectQualityPreferenceFromText(resolved.suffix) === 'high_only', 'channel defaults: suffix drives filters');
+    devAssert(resolved.negatives.join(',') === 'cartoon', 'channel defaults: negatives');
+    const own = resolveChannelDefaultsForBrief(defaults, 'female cartoon voice, lang=de, hq');
+    devAssert(own === null, 'channel defaults: brief overrides every field');
+    const ageBlock = buildChannelDefaultsModalView({ channelId: 'C1', defaults: { age: 'child' } }).blocks.find((b) => b.block_id === 'age');
+    devAssert(ageBlock?.element?.initial_option?.value === 'child', 'channel defaults: modal offers and preselects child age');
+  }
+
+  // App Home: API health classification
+  {
+    const saved = apiHealth.get('elevenlabs');
+    const elevenLabsLine = () => buildStatusPanelText().split('\n').find((l) => l.startsWith('• ElevenLabs:')) || '';
+    recordApiHealth(`${ELEVENLABS_API_BASE_URL}/v1/shared-voices`, { response: { status: 404 } });
+    devAssert(apiHealth.get('elevenlabs')?.ok === true, 'api health: 404 counts as reachable');
+    devAssert(elevenLabsLine().includes('🟢'), 'app home: status panel shows a healthy ElevenLabs');
+    recordApiHealth(`${ELEVENLABS_API_BASE_URL}/v1/shared-voices`, { response: { status: 503 } });
+    devAssert(apiHealth.get('elevenlabs')?.ok === false && apiHealth.get('elevenlabs')?.error === 'HTTP 503', 'api health: 5xx is a failure');
+    devAssert(/🔴 failing: HTTP 503/.test(elevenLabsLine()), 'app home: status panel shows the ElevenLabs failure');
+    devAssert(getApiServiceForUrl('https://example.com/x') === null, 'api health: unknown hosts ignored');
+    if (saved) apiHealth.set('elevenlabs', saved);
+    else apiHealth.delete('elevenlabs');
+  }
+
+  // Local ranker
+  {
+    const plan = {
+      target_voice_language: 'es',
+      target_gender: 'female',
+      quality_preference: 'high_only',
+      tone_keywords: ['warm'],
+      use_case_keywords: ['narration']
+    };
+    const voices = [
+      { voice_id: 'b', name: 'Max', gender: 'male', language: 'en', description: 'energetic cartoon voice', usage_character_count_1y: 9000000 },
+      { voice_id: 'a', name: 'Lucia', gender: 'female', language: 'es', category: 'high_quality', description: 'warm narration', _matched_keywords: ['warm', 'narration'], usage_character_count_1y: 1000 },
+      { voice_id: 'c', name: 'Ana', gender: 'female', language: 'es', category: 'high_quality', description: 'warm cartoon narration', _matched_keywords: ['warm', 'narration'], usage_character_count_1y: 1000 }
+    ];
+    const { scoreMap, userLanguage } = rankVoicesLocally('warm spanish female narration, no cartoon', plan, voices);
+    devAssert(scoreMap.a > scoreMap.b, 'local ranker: brief fit beats popularity');
+    devAssert(scoreMap.a > scoreMap.c * 1.5, 'local ranker: negatives penalized');
+    devAssert(Object.values(scoreMap).every((s) => s >= 0 && s <= 1) && userLanguage === 'en', 'local ranker: score range + ui language');
+  }
+
+  // Rule-based keyword plan
+  {
+    const plan = buildRuleBasedKeywordPlan('calm female narrator for a spanish meditation app, hq, no cartoon');
+    devAssert(JSON.stringify(normalizeKeywordPlan(plan, '')) === JSON.stringify(plan), 'rule plan: already normalized');
+    devAssert(plan.target_gender === 'female' && plan.target_voice_language === 'es' && plan.quality_preference === 'high_only', 'rule plan: filters');
+    devAssert(plan.tone_keywords.includes('calm') && plan.use_case_keywords.includes('meditation') && plan.character_keywords.includes('narrator'), 'rule plan: vocabulary');
+    const all = [...plan.tone_keywords, ...plan.use_case_keywords, ...plan.character_keywords, ...plan.style_keywords, ...plan.extra_keywords];
+    devAssert(!all.some((k) => /cartoon|villain/.test(k)), 'rule plan: negated words not searched');
+    devAssert(detectGenderFromText('male or female') === null && detectGenderFromText('old man') === 'male', 'rule plan: gender');
+    devAssert(buildRuleBasedKeywordPlan('warm voice').target_voice_language === null, 'rule plan: no language unless named');
+    const villain = buildRuleBasedKeywordPlan('dark villain for a game');
+    devAssert(!villain.tone_keywords.includes('reassuring') && !villain.style_keywords.includes('helpful'), 'rule plan: floor keeps support tones out of toned briefs');
+  }
+
+  // LLM client config
+  {
+    for (const task of Object.keys(LLM_TASK_DEFAULTS)) {
+      const cfg = getLlmTaskConfig(task);
+      devAssert(cfg.model && cfg.timeoutMs > 0, `llm: config for ${task}`);
+    }
+    devAssert(LLM_AZURE_API_VERSION || getLlmChatUrl('m') === `${LLM_BASE_URL}/chat/completions`, 'llm: chat url');
+    devAssert(getApiServiceForUrl(getLlmChatUrl('m')) === 'openai', 'llm: health tracked for the configured endpoint');
+  }
+
+  // LLM output schemas
+  {
+    const plan = buildRuleBasedKeywordPlan('calm female narrator');
+    devAssert(validateJsonSchema(plan, KEYWORD_PLAN_SCHEMA).length === 0, 'schema: rule-based plan is a valid keyword plan');
+    const bad = validateJsonSchema({ ...plan, target_gender: 'woman', tone_keywords: 'calm', mood: 'x' }, KEYWORD_PLAN_SCHEMA);
+    devAssert(bad.length === 3 && bad.some((e) => e.startsWith('$.mood:')), 'schema: enum, type and extra property reported');
+    const reply = { ranking: [{ voice_id: 'a', score: 0.5 }, { voice_id: 'a', score: 2 }, { voice_id: 'x', score: 0.1 }] };
+    devAssert(validateJsonSchema(reply, RANKING_RESPONSE_SCHEMA).length === 1, 'schema: ranking score range');
+    devAssert(validateRankingReply(reply, ['a', 'b']).length === 2, 'schema: ranking duplicate and unknown ids');
+    devAssert(findRankingOmissions(reply, ['a', 'b']).join() === 'b', 'schema: omitted candidates are reported separately');
+    devAssert(checkLlmJsonReply('```json\n{"ranking":[]}\n```', { schema: RANKING_RESPONSE_SCHEMA }).errors.length === 1, 'schema: fenced JSON parsed, empty ranking rejected');
+  }
 }
 
 // -------------------------------------------------------------
@@ -6857,20 +8882,38 @@ async function safePostMessage(client, payload, fallbackText) {
 // New search handler
 // -------------------------------------------------------------
 
-async function handleNewSearch(event, cleaned, threadTs, client) {
+// options.planOverrides: structured fields (e.g. from the /voices modal) that win over the LLM plan.
+// options.referenceAudio: downloaded recording (downloadReferenceAudio) -> similar-voices search.
+// options.referenceVoiceIds: voice_id(s) to search similar voices for (no "similar" wording needed).
+async function handleNewSearch(event, cleaned, threadTs, client, options = {}) {
+  const referenceSearch = Boolean(options.referenceAudio || (options.referenceVoiceIds && options.referenceVoiceIds.length));
   try {
     // Load language index early so ISO2 validation is accurate and language-name matching works.
     await ensureLanguageIndexLoaded();
 
-    const keywordPlan = await buildKeywordPlan(cleaned);
+    // Channel defaults fill in whatever the brief leaves open (explicit text wins per field).
+    const rawBrief = cleaned;
+    const channelDefaults = resolveChannelDefaultsForBrief(getChannelDefaults(event.channel), cleaned);
+    if (channelDefaults?.suffix) cleaned = `${cleaned.replace(/[.\s]+$/, '')}. ${channelDefaults.suffix}`.trim();
+    recordUserSearch(event.user, {
+      channel: event.channel,
+      threadTs,
+      query: rawBrief || (options.referenceAudio ? `Similar to ${options.referenceAudio.filename || 'uploaded audio'}` : '')
+    });
+
+    // Plan validation entries are collected here and seed the search trace below.
+    const planTrace = [];
+    const keywordPlan = await buildKeywordPlan(cleaned, (entry) => planTrace.push(entry));
+    applyChannelDefaultsToPlan(keywordPlan, channelDefaults);
+    applyPlanOverrides(keywordPlan, options.planOverrides);
     const labels = getLabels();
 
     let uiLang =
-      (guessUiLanguageFromText(cleaned) || 'en').toString().slice(0, 2).toLowerCase();
+      (guessUiLanguageFromText(rawBrief) || 'en').toString().slice(0, 2).toLowerCase();
 
     // Removed initial progress message; first message will be the results
     // Seed plan flags for server-side filtering/pagination
-    keywordPlan.__featured = false;
+    keywordPlan.__featured = channelDefaults?.featured === true;
     keywordPlan.__sort = null;
     keywordPlan.__listAll = detectListAll(cleaned);
     keywordPlan.__forceUseCases = false;
@@ -6888,7 +8931,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
         .slice(0, 2);
       const kbReady = facetKB && facetKB.isLoaded && facetKB.isLoaded() && facetKB.hasIso2 && facetKB.hasIso2(iso2);
 
-      if (iso2 && kbReady) {
+      if (iso2 && kbReady && !referenceSearch) {
         const wantsAccent = hasExplicitAccentMention(cleaned) || (typeof keywordPlan?.target_accent === 'string' && keywordPlan.target_accent.trim());
         const explicitLocale = !!(hint && hint.locale);
 
@@ -6912,8 +8955,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
               }));
               if (options.length >= 2) {
                 const pending = { type: 'locale', iso2, options, createdAt: Date.now() };
-                const msg = await translateForUserLanguage(buildFacetClarifyMessage(pending) || labels.genericError, uiLang);
-                sessions[threadTs] = {
+                saveSession(threadTs, {
                   originalQuery: cleaned,
                   keywordPlan,
                   voices: [],
@@ -6927,15 +8969,15 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
                         ? keywordPlan.target_gender
                         : 'any',
                     listAll: detectListAll(cleaned),
-                    featured: false,
+                    featured: keywordPlan.__featured === true,
                     sort: null,
                     strictUseCase: false,
                     strictDescriptives: false,
                     limitPerGender: null
                   },
                   lastActive: Date.now()
-                };
-                await client.chat.postMessage({ channel: event.channel, thread_ts: threadTs, text: msg, blocks: buildBlocksFromText(msg) || undefined });
+                });
+                await postFacetClarifyQuestion(client, { channel: event.channel, threadTs, pending, uiLanguage: uiLang });
                 return;
               }
             }
@@ -6961,8 +9003,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
                 count: x.count
               }));
               const pending = { type: 'accent', iso2, options, createdAt: Date.now() };
-              const msg = await translateForUserLanguage(buildFacetClarifyMessage(pending) || labels.genericError, uiLang);
-              sessions[threadTs] = {
+              saveSession(threadTs, {
                 originalQuery: cleaned,
                 keywordPlan,
                 voices: [],
@@ -6976,15 +9017,15 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
                       ? keywordPlan.target_gender
                       : 'any',
                   listAll: detectListAll(cleaned),
-                  featured: false,
+                  featured: keywordPlan.__featured === true,
                   sort: null,
                   strictUseCase: false,
                   strictDescriptives: false,
                   limitPerGender: null
                 },
                 lastActive: Date.now()
-              };
-              await client.chat.postMessage({ channel: event.channel, thread_ts: threadTs, text: msg, blocks: buildBlocksFromText(msg) || undefined });
+              });
+              await postFacetClarifyQuestion(client, { channel: event.channel, threadTs, pending, uiLanguage: uiLang });
               return;
             }
           }
@@ -6993,17 +9034,20 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
     } catch (_) {}
 
     // Multi-intent: split by semicolons and run separate sub-searches, then group
-    const parts = splitMultiIntents(cleaned);
-    if (parts.length >= 2) {
+    const parts = splitMultiIntents(rawBrief);
+    if (parts.length >= 2 && !referenceSearch) {
       const subSessions = [];
-      const searchTrace = [];
+      const searchTrace = [...planTrace];
       const traceCb = (entry) => {
         try { searchTrace.push(entry); } catch (_) {}
       };
-      for (const part of parts) {
+      for (const partBrief of parts) {
         await ensureLanguageIndexLoaded(traceCb);
-        const subPlan = await buildKeywordPlan(part);
-        subPlan.__featured = false;
+        const partDefaults = resolveChannelDefaultsForBrief(getChannelDefaults(event.channel), partBrief);
+        const part = partDefaults?.suffix ? `${partBrief.replace(/[.\s]+$/, '')}. ${partDefaults.suffix}`.trim() : partBrief;
+        const subPlan = await buildKeywordPlan(part, traceCb);
+        applyChannelDefaultsToPlan(subPlan, partDefaults);
+        subPlan.__featured = partDefaults?.featured === true;
         subPlan.__sort = null;
         subPlan.__listAll = detectListAll(part);
         subPlan.__forceUseCases = false;
@@ -7012,15 +9056,15 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
         if (!voices.length) {
           continue;
         }
-        const ranked = await rankVoicesWithGPT(part, subPlan, voices);
+        const ranked = await rankVoicesWithGPT(part, subPlan, voices, traceCb);
         subSessions.push({
-          title: part,
+          title: partBrief,
           session: {
             originalQuery: part,
             keywordPlan: subPlan,
             voices,
             ranking: ranked.scoreMap,
-            uiLanguage: (guessUiLanguageFromText(part) || uiLang).toString().slice(0,2).toLowerCase(),
+            uiLanguage: (guessUiLanguageFromText(partBrief) || uiLang).toString().slice(0,2).toLowerCase(),
             filters: {
               quality: subPlan.quality_preference || 'any',
               gender:
@@ -7028,7 +9072,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
                   ? subPlan.target_gender
                   : 'any',
               listAll: detectListAll(part),
-              featured: false,
+              featured: subPlan.__featured === true,
               sort: null,
               limitPerGender: null
             },
@@ -7037,26 +9081,15 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
         });
       }
       if (subSessions.length) {
-        // Build grouped message
-        let message = '';
+        // One card message per intent, each introduced by its own header
         for (const { title, session } of subSessions) {
-          const sectionHeader = '```FOR: ' + title + '```';
-          let body = buildMessageFromSession(session);
-          body = await translateForUserLanguage(body, session.uiLanguage);
-          message += sectionHeader + '\n' + body + '\n\n';
-        }
-        // cap blocks and post
-        const blocks = buildBlocksFromText(message);
-        await safePostMessage(
-          client,
-          {
+          await postSessionResults(client, {
             channel: event.channel,
-            thread_ts: threadTs,
-            text: message,
-            blocks: blocks || undefined
-          },
-          labels.noVoices
-        );
+            threadTs,
+            session,
+            intro: '```FOR: ' + title + '```'
+          });
+        }
         if (process.env.POC_SEARCH_REPORT === 'true') {
           let report = buildSearchReport(searchTrace, keywordPlan, 'multi_intent', { unique_count: subSessions.reduce((acc, s) => acc + (Array.isArray(s.session.voices) ? s.session.voices.length : 0), 0) });
           report = await translateForUserLanguage(report, uiLang);
@@ -7068,18 +9101,47 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
       // fall through to single search if multisplit yielded no results
     }
 
-    // Similar voices: if user asks "similar to <voice_id>"
-    const voiceIdForSimilarity = extractVoiceIdCandidate(cleaned);
-    if (voiceIdForSimilarity) {
-      const searchTrace = [];
+    // Similar voices: if user asks "similar to <voice_id>" (one or more ids) or attached a reference recording
+    const similarVoiceIds = options.referenceAudio
+      ? []
+      : Array.isArray(options.referenceVoiceIds) && options.referenceVoiceIds.length
+        ? options.referenceVoiceIds
+        : extractVoiceIdCandidate(cleaned)
+          ? extractVoiceIdCandidates(cleaned)
+          : [];
+    if (similarVoiceIds.length || options.referenceAudio) {
+      const searchTrace = [...planTrace];
       const traceCb = (entry) => {
         try {
           searchTrace.push(entry);
         } catch (_) {}
       };
       await ensureLanguageIndexLoaded(traceCb);
-      const simRes = await findSimilarVoicesByVoiceId(voiceIdForSimilarity, traceCb);
+      const strongLanguage = isStrongLanguageRequest(cleaned, keywordPlan);
+      const postFilters = {
+        gender: keywordPlan.target_gender,
+        quality: keywordPlan.quality_preference || 'any',
+        // Strong language requests are split into strict/verified/other buckets below instead.
+        iso2: strongLanguage ? null : keywordPlan.target_voice_language
+      };
+      const filtered =
+        postFilters.gender === 'male' || postFilters.gender === 'female' || postFilters.quality !== 'any' || !!postFilters.iso2;
+      const tuning = getSimilarSearchTuning(cleaned, { filtered });
+      const simRes = options.referenceAudio
+        ? await findSimilarVoicesByAudio(options.referenceAudio, traceCb, tuning)
+        : similarVoiceIds.length > 1
+          ? await findSimilarVoicesByVoiceIds(similarVoiceIds, traceCb, tuning)
+          : await findSimilarVoicesByVoiceId(similarVoiceIds[0], traceCb, tuning);
       let voices = Array.isArray(simRes?.voices) ? simRes.voices : [];
+      let relaxedNote = '';
+      if (voices.length) {
+        const post = postFilterSimilarVoices(voices, postFilters, traceCb);
+        voices = post.voices;
+        if (post.relaxed.includes('language')) {
+          relaxedNote = `Note: none of the similar voices are verified for ${String(postFilters.iso2).toUpperCase()}, so I'm showing the closest matches in any language.`;
+        }
+      }
+      voices = applyVoicePolicy(voices, traceCb);
       if (!voices.length) {
         const noResText = await translateForUserLanguage(labels.noResults, uiLang);
         let hint = '';
@@ -7102,7 +9164,14 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
         );
         return;
       }
-      const ranked = await rankVoicesWithGPT(cleaned, keywordPlan, voices);
+      const ranked = await rankVoicesWithGPT(cleaned, keywordPlan, voices, traceCb);
+      // Multiple references: the fused similarity counts as much as the brief fit.
+      if (similarVoiceIds.length > 1) {
+        for (const v of voices) {
+          const sim = v?._similarity?.score;
+          if (typeof sim === 'number') ranked.scoreMap[v.voice_id] = 0.6 * (ranked.scoreMap[v.voice_id] || 0) + 0.4 * sim;
+        }
+      }
       let softQualityNote = '';
       const session = {
         originalQuery: cleaned,
@@ -7117,7 +9186,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
               ? keywordPlan.target_gender
               : 'any',
           listAll: detectListAll(cleaned),
-          featured: false,
+          featured: keywordPlan.__featured === true,
           sort: null,
           strictUseCase: false,
           strictDescriptives: false,
@@ -7141,7 +9210,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
           }
         }
       } catch (_) {}
-      sessions[threadTs] = session;
+      saveSession(threadTs, session);
       // Similarity results: if query is strongly language-specific, enforce strict verified language matches.
       {
         const isStrong = isStrongLanguageRequest(cleaned, keywordPlan);
@@ -7183,23 +9252,14 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
 
           const locSuffix = requestedLocale ? ` (${normalizeRequestedLocale(requestedLocale) || requestedLocale})` : '';
           const strictHeader = `\`\`\`STRICT MATCHES ${iso2.toUpperCase()}${locSuffix}\`\`\``;
-          const strictSession = { ...session, voices: strictVoices };
+          const strictSession = { ...session, voices: strictVoices, policyHidden: voices?.policyHidden };
           const labels = getLabels();
-          let strictBody = buildMessageFromSession(strictSession);
-          if (!strictBody || !String(strictBody).trim()) strictBody = labels.noVoices;
-          let strictMessage = strictHeader + '\n' + strictBody;
-          strictMessage = await translateForUserLanguage(strictMessage, session.uiLanguage);
-          const strictBlocks = buildBlocksFromText(strictMessage);
-          await safePostMessage(
-            client,
-            {
-              channel: event.channel,
-              thread_ts: threadTs,
-              text: strictMessage,
-              blocks: strictBlocks || undefined
-            },
-            labels.noVoices
-          );
+          await postSessionResults(client, {
+            channel: event.channel,
+            threadTs,
+            session: strictSession,
+            intro: strictHeader
+          });
 
           if (verifiedOnly.length) {
             let vMsg = buildVerifiedFallbackMessageSoft(
@@ -7247,20 +9307,13 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
           }
         } else {
           // Single unified result message
-          let message = buildMessageFromSession(session);
-          if (softQualityNote) message = softQualityNote + '\n\n' + message;
-          message = await translateForUserLanguage(message, session.uiLanguage);
-          const blocks = buildBlocksFromText(message);
-          await safePostMessage(
-            client,
-            {
-              channel: event.channel,
-              thread_ts: threadTs,
-              text: message,
-              blocks: blocks || undefined
-            },
-            labels.noVoices
-          );
+          await postSessionResults(client, {
+            channel: event.channel,
+            threadTs,
+            session,
+            intro: [softQualityNote, relaxedNote].filter(Boolean).join('\n') || null,
+            controls: true
+          });
         }
       }
       if (process.env.POC_SEARCH_REPORT === 'true') {
@@ -7278,7 +9331,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
 
     let voices;
     let rankingMap;
-    const searchTrace = [];
+    const searchTrace = [...planTrace];
     const traceCb = (entry) => {
       try {
         searchTrace.push(entry);
@@ -7340,7 +9393,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
           });
           return;
         }
-        const ranked = await rankVoicesWithGPT(cleaned, keywordPlan, voices);
+        const ranked = await rankVoicesWithGPT(cleaned, keywordPlan, voices, traceCb);
         rankingMap = ranked.scoreMap;
       } else {
         // normal mode – keyword-based search + GPT curator ranking
@@ -7356,7 +9409,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
           return;
         }
 
-        const ranked = await rankVoicesWithGPT(cleaned, keywordPlan, voices);
+        const ranked = await rankVoicesWithGPT(cleaned, keywordPlan, voices, traceCb);
         rankingMap = ranked.scoreMap;
       }
     }
@@ -7374,7 +9427,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
             ? keywordPlan.target_gender
             : 'any',
         listAll: detectListAll(cleaned),
-        featured: false,
+        featured: keywordPlan.__featured === true,
         sort: null,
         strictUseCase: false,
         strictDescriptives: false,
@@ -7383,7 +9436,7 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
       lastActive: Date.now()
     };
 
-    sessions[threadTs] = session;
+    saveSession(threadTs, session);
 
     // Results message (single by default, strict+verified when query is strongly language-specific)
     {
@@ -7409,18 +9462,12 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
         const locNorm = normalizeRequestedLocale(requestedLocale);
         const locSuffix = locNorm ? ` (${locNorm})` : requestedLocale ? ` (${requestedLocale})` : '';
         const strictHeader = `\`\`\`STRICT MATCHES ${iso2.toUpperCase()}${locSuffix}\`\`\``;
-        const strictSession = { ...session, voices: strictVoices };
-        const labels = getLabels();
-        let strictBody = buildMessageFromSession(strictSession);
-        if (!strictBody || !String(strictBody).trim()) strictBody = labels.noVoices;
-        let strictMessage = strictHeader + '\n' + strictBody;
-        strictMessage = await translateForUserLanguage(strictMessage, session.uiLanguage);
-        const strictBlocks = buildBlocksFromText(strictMessage);
-        await client.chat.postMessage({
+        const strictSession = { ...session, voices: strictVoices, policyHidden: voices?.policyHidden };
+        await postSessionResults(client, {
           channel: event.channel,
-          thread_ts: threadTs,
-          text: strictMessage,
-          blocks: strictBlocks || undefined
+          threadTs,
+          session: strictSession,
+          intro: strictHeader
         });
 
         let fallbackMsg = buildVerifiedFallbackMessageSoft(
@@ -7441,23 +9488,21 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
         });
       } else {
         // Single unified result message
-        let message = buildMessageFromSession(session);
-        message = await translateForUserLanguage(message, session.uiLanguage);
         // If the user is asking about language but we couldn't infer a safe ISO2, give them the explicit syntax.
+        let tip = null;
         try {
           const wantsLangMeta = detectLanguageMetaIntent(cleaned) || checkLanguagesIntent(cleaned.toLowerCase());
           const hint = parseUserLanguageHints(cleaned);
           if (wantsLangMeta && !(hint && hint.iso2)) {
-            const tip = '\n\nTip: specify language as `lang=en` / `język: pl` / `pt-BR`.';
-            message = message + (await translateForUserLanguage(tip, session.uiLanguage));
+            tip = 'Tip: specify language as `lang=en` / `język: pl` / `pt-BR`.';
           }
         } catch (_) {}
-        const blocks = buildBlocksFromText(message);
-        await client.chat.postMessage({
+        await postSessionResults(client, {
           channel: event.channel,
-          thread_ts: threadTs,
-          text: message,
-          blocks: blocks || undefined
+          threadTs,
+          session,
+          outro: tip,
+          controls: true
         });
       }
     }
@@ -7490,7 +9535,72 @@ async function handleNewSearch(event, cleaned, threadTs, client) {
 }
 
 // -------------------------------------------------------------
-// Slack Bolt app – app_mention handler
+// Facet clarification – ask, then resolve (typed answer or button)
+// -------------------------------------------------------------
+
+async function postFacetClarifyQuestion(client, { channel, threadTs, pending, uiLanguage }) {
+  const msg = await translateForUserLanguage(buildFacetClarifyMessage(pending) || getLabels().genericError, uiLanguage);
+  let anyLabel = pending?.type === 'locale' ? 'Any locale' : 'Any accent';
+  anyLabel = await translateForUserLanguage(anyLabel, uiLanguage);
+  const blocks = buildFacetClarifyBlocks(pending, msg, anyLabel) || buildBlocksFromText(msg);
+  return await safePostMessage(client, {
+    channel,
+    thread_ts: threadTs,
+    text: msg,
+    blocks: blocks || undefined
+  });
+}
+
+// Apply the picked option (or FACET_ANY_CHOICE) to the stored plan, clear the pending question
+// and run the search again with the thread's current filters.
+async function runFacetChoiceSearch(client, { channel, threadTs, session, picked }) {
+  const pending = session.pendingFacetQuestion;
+  const plan = JSON.parse(JSON.stringify(session.keywordPlan || {}));
+  const value = picked && !picked.any ? (picked.value || picked.label || '').toString() : null;
+  if (pending?.type === 'accent') {
+    plan.target_accent = value;
+  } else if (pending?.type === 'locale') {
+    plan.target_locale = value;
+  }
+  session.pendingFacetQuestion = null;
+
+  plan.__featured = session.filters.featured === true;
+  plan.__sort = session.filters.sort || null;
+  plan.__listAll = session.filters.listAll === true;
+  plan.__forceUseCases = session.filters.strictUseCase === true;
+  plan.__forceDescriptives = session.filters.strictDescriptives === true;
+
+  const searchTrace = [];
+  const traceCb = (entry) => { try { searchTrace.push(entry); } catch (_) {} };
+  const voices = await fetchVoicesByKeywords(plan, session.originalQuery, traceCb);
+  if (!voices.length) {
+    const labels = getLabels();
+    const noResText = await translateForUserLanguage(labels.noResults, session.uiLanguage);
+    await safePostMessage(client, {
+      channel,
+      thread_ts: threadTs,
+      text: noResText
+    });
+    session.keywordPlan = plan;
+    session.voices = [];
+    resetResultPaging(session);
+    session.ranking = {};
+    saveSession(threadTs, session);
+    return;
+  }
+  const ranked = await rankVoicesWithGPT(session.originalQuery, plan, voices, traceCb);
+  session.keywordPlan = plan;
+  session.voices = voices;
+  resetResultPaging(session);
+  session.ranking = ranked.scoreMap;
+  session.lastActive = Date.now();
+
+  await postSessionResults(client, { channel, threadTs, session, controls: true });
+  saveSession(threadTs, session);
+}
+
+// -------------------------------------------------------------
+// Slack Bolt app – app_mention + DM (message.im) handlers
 // -------------------------------------------------------------
 
 const app = new App({
@@ -7500,17 +9610,102 @@ const app = new App({
   appToken: process.env.SLACK_APP_TOKEN
 });
 
-app.event('app_mention', async ({ event, client }) => {
+// Shared by channel mentions and DMs: same thread keying, dedup and follow-up handling.
+async function handleUserMessage({ event, client }) {
   const rawText = event.text || '';
   const cleaned = cleanText(rawText);
   const threadTs = event.thread_ts || event.ts;
+  const referenceFile = pickReferenceAudioFile(event.files);
 
   // Avoid duplicate replies on quick edits/duplicates within a short window
-  if (isDuplicateRequest(threadTs, cleaned)) {
+  if (isDuplicateRequest(threadTs, referenceFile ? `${cleaned}|${referenceFile.id}` : cleaned)) {
+    return;
+  }
+
+  // Attached recording: similar-voice search from the audio (starts a fresh result set in this thread).
+  if (referenceFile) {
+    await handleReferenceAudioMessage({ event, client, cleaned, threadTs, file: referenceFile });
+    return;
+  }
+
+  // Voice policy (blocklist/allowlist) commands: "voice policy block <voice_id> <reason>".
+  if (/^voice[\s-]?policy\b/i.test(cleaned)) {
+    await runVoicePolicyCommand(client, parseVoicePolicyCommand(cleaned.replace(/^voice[\s-]?policy\b[:\s]*/i, '')), {
+      userId: event.user,
+      reply: (text) =>
+        safePostMessage(client, {
+          channel: event.channel,
+          thread_ts: threadTs,
+          text,
+          blocks: buildBlocksFromText(text) || undefined
+        })
+    });
+    return;
+  }
+
+  // Channel default profile ("channel defaults set language=es quality=high").
+  if (/^channel[\s-]?defaults\b/i.test(cleaned)) {
+    await runChannelDefaultsCommand(client, parseChannelDefaultsCommand(cleaned.replace(/^channel[\s-]?defaults\b[:\s]*/i, '')), {
+      channelId: event.channel,
+      userId: event.user,
+      triggerId: null,
+      reply: (text) => safePostMessage(client, { channel: event.channel, thread_ts: threadTs, text })
+    });
+    return;
+  }
+
+  // Weekly digest commands ("digest add es, pt").
+  if (/^digest\b/i.test(cleaned)) {
+    await runDigestCommand(client, parseDigestCommand(cleaned.replace(/^digest\b[:\s]*/i, '')), {
+      channelId: event.channel,
+      userId: event.user,
+      reply: (text) => safePostMessage(client, { channel: event.channel, thread_ts: threadTs, text })
+    });
+    return;
+  }
+
+  // Watched-search commands ("watches list", "watches pause 1a2b3c").
+  if (/^watches\b/i.test(cleaned)) {
+    await runSavedSearchCommand(client, parseSavedSearchCommand(cleaned.replace(/^watches\b[:\s]*/i, '')), {
+      ctx: { channelId: event.channel, teamId: event.team || null },
+      userId: event.user,
+      reply: (text) =>
+        safePostMessage(client, {
+          channel: event.channel,
+          thread_ts: threadTs,
+          text,
+          blocks: buildBlocksFromText(text) || undefined
+        })
+    });
+    return;
+  }
+
+  // Shortlist commands work from any thread or DM ("shortlist show Audiobook casting Q4").
+  const shortlistCmd = /^shortlists?\b/i.test(cleaned) ? parseShortlistCommand(cleaned.replace(/^shortlists?\b[:\s]*/i, '')) : null;
+  if (shortlistCmd) {
+    await runShortlistCommand(client, shortlistCmd, {
+      ctx: { channelId: event.channel, teamId: event.team || null },
+      threadTs,
+      uiLanguage: getSession(threadTs)?.uiLanguage || null,
+      reply: (text) =>
+        safePostMessage(client, {
+          channel: event.channel,
+          thread_ts: threadTs,
+          text,
+          blocks: buildBlocksFromText(text) || undefined
+        })
+    });
+    return;
+  }
+
+  // Comparison works in any thread (ids in the text) and in result threads (⚖️ Compare picks).
+  const compare = parseCompareRequest(cleaned, getSession(threadTs));
+  if (compare) {
+    await runVoiceComparison(client, { channel: event.channel, threadTs, session: getSession(threadTs), voiceIds: compare.voiceIds });
     return;
   }
 
-  const existing = sessions[threadTs];
+  const existing = getSession(threadTs);
 
   if (existing) {
     // Follow-ups rely on language-name detection (e.g., "Japanese", "Korean").
@@ -7525,72 +9720,52 @@ app.event('app_mention', async ({ event, client }) => {
       try {
         const picked = resolveFacetChoiceFromText(cleaned, existing.pendingFacetQuestion);
         if (!picked) {
-          const msg0 = buildFacetClarifyMessage(existing.pendingFacetQuestion) || getLabels().genericError;
-          const msg = await translateForUserLanguage(msg0, existing.uiLanguage);
-          const blocks = buildBlocksFromText(msg);
-          await safePostMessage(client, {
-            channel: event.channel,
-            thread_ts: threadTs,
-            text: msg,
-            blocks: blocks || undefined
-          });
-          return;
-        }
-
-        const plan = JSON.parse(JSON.stringify(existing.keywordPlan || {}));
-        if (existing.pendingFacetQuestion.type === 'accent') {
-          plan.target_accent = (picked.value || picked.label || '').toString();
-        } else if (existing.pendingFacetQuestion.type === 'locale') {
-          plan.target_locale = (picked.value || picked.label || '').toString();
-        }
-        existing.pendingFacetQuestion = null;
-
-        plan.__featured = existing.filters.featured === true;
-        plan.__sort = existing.filters.sort || null;
-        plan.__listAll = existing.filters.listAll === true;
-        plan.__forceUseCases = existing.filters.strictUseCase === true;
-        plan.__forceDescriptives = existing.filters.strictDescriptives === true;
-
-        const searchTrace = [];
-        const traceCb = (entry) => { try { searchTrace.push(entry); } catch (_) {} };
-        const voices = await fetchVoicesByKeywords(plan, existing.originalQuery, traceCb);
-        if (!voices.length) {
-          const labels = getLabels();
-          const noResText = await translateForUserLanguage(labels.noResults, existing.uiLanguage);
-          await safePostMessage(client, {
+          await postFacetClarifyQuestion(client, {
             channel: event.channel,
-            thread_ts: threadTs,
-            text: noResText
+            threadTs,
+            pending: existing.pendingFacetQuestion,
+            uiLanguage: existing.uiLanguage
           });
-          existing.keywordPlan = plan;
-          existing.voices = [];
-          existing.ranking = {};
+          saveSession(threadTs, existing);
           return;
         }
-        const ranked = await rankVoicesWithGPT(existing.originalQuery, plan, voices);
-        existing.keywordPlan = plan;
-        existing.voices = voices;
-        existing.ranking = ranked.scoreMap;
-        existing.lastActive = Date.now();
 
-        let msg = buildMessageFromSession(existing);
-        msg = await translateForUserLanguage(msg, existing.uiLanguage);
-        const blocks = buildBlocksFromText(msg);
-        await safePostMessage(client, {
-          channel: event.channel,
-          thread_ts: threadTs,
-          text: msg,
-          blocks: blocks || undefined
-        });
+        await runFacetChoiceSearch(client, { channel: event.channel, threadTs, session: existing, picked });
         return;
       } catch (_) {
         // If something fails, fall through to normal flow
       }
     }
 
-    const wantsLanguages = checkLanguagesIntent(lower);
-    const wantsWhichHigh = checkWhichHighIntent(lower);
-    const filtersChanged = applyFilterChangesFromText(existing, lower);
+    const audition = parseAuditionRequest(cleaned);
+    if (audition) {
+      await runAuditions(client, { channel: event.channel, threadTs, session: existing, request: audition });
+      saveSession(threadTs, existing);
+      return;
+    }
+
+    if (detectWatchIntent(lower)) {
+      await watchSessionSearch(client, {
+        channel: event.channel,
+        threadTs,
+        session: existing,
+        userId: event.user,
+        teamId: event.team || null
+      });
+      saveSession(threadTs, existing);
+      return;
+    }
+
+    const exportFormat = detectExportIntent(lower);
+    if (exportFormat) {
+      await exportSessionResults(client, { channel: event.channel, threadTs, session: existing, format: exportFormat });
+      saveSession(threadTs, existing);
+      return;
+    }
+
+    const wantsLanguages = checkLanguagesIntent(lower);
+    const wantsWhichHigh = checkWhichHighIntent(lower);
+    const filtersChanged = applyFilterChangesFromText(existing, lower);
 
     if (wantsLanguages) {
       let msg = buildLanguagesMessage(existing);
@@ -7602,6 +9777,7 @@ app.event('app_mention', async ({ event, client }) => {
         text: msg,
         blocks: blocks || undefined
       });
+      saveSession(threadTs, existing);
       return;
     }
 
@@ -7615,10 +9791,12 @@ app.event('app_mention', async ({ event, client }) => {
         text: msg,
         blocks: blocks || undefined
       });
+      saveSession(threadTs, existing);
       return;
     }
 
     if (filtersChanged) {
+      resetResultPaging(existing);
       if (existing._serverFiltersChanged) {
         const searchTrace = [];
         const traceCb = (entry) => {
@@ -7642,9 +9820,10 @@ app.event('app_mention', async ({ event, client }) => {
             text: noResText
           });
           existing._serverFiltersChanged = false;
+          saveSession(threadTs, existing);
           return;
         }
-        const ranked = await rankVoicesWithGPT(existing.originalQuery, plan, voices);
+        const ranked = await rankVoicesWithGPT(existing.originalQuery, plan, voices, traceCb);
         existing.keywordPlan = plan;
         existing.voices = voices;
         existing.ranking = ranked.scoreMap;
@@ -7652,35 +9831,29 @@ app.event('app_mention', async ({ event, client }) => {
       }
 
       // Single unified result message
-      let msg = buildMessageFromSession(existing);
-      msg = await translateForUserLanguage(msg, existing.uiLanguage);
-      const blocks = buildBlocksFromText(msg);
-      await safePostMessage(client, {
-        channel: event.channel,
-        thread_ts: threadTs,
-        text: msg,
-        blocks: blocks || undefined
-      });
+      await postSessionResults(client, { channel: event.channel, threadTs, session: existing, controls: true });
+      saveSession(threadTs, existing);
       return;
     }
 
     // Refinement flow: merge new hints into the existing keyword plan
     try {
+      const searchTrace = [];
+      const traceCb = (entry) => {
+        try {
+          searchTrace.push(entry);
+        } catch (_) {}
+      };
       const refinedPlan = await refineKeywordPlanFromFollowUp(
         JSON.parse(JSON.stringify(existing.keywordPlan || {})),
-        cleaned
+        cleaned,
+        traceCb
       );
       refinedPlan.__featured = existing.filters.featured === true;
       refinedPlan.__sort = existing.filters.sort || null;
       refinedPlan.__listAll = existing.filters.listAll === true;
       refinedPlan.__forceUseCases = existing.filters.strictUseCase === true;
       const combinedQuery = [existing.originalQuery || '', cleaned].join(' ').trim();
-      const searchTrace = [];
-      const traceCb = (entry) => {
-        try {
-          searchTrace.push(entry);
-        } catch (_) {}
-      };
       const voices = await fetchVoicesByKeywords(refinedPlan, combinedQuery, traceCb);
       if (!voices.length) {
         const labels = getLabels();
@@ -7690,25 +9863,19 @@ app.event('app_mention', async ({ event, client }) => {
           thread_ts: threadTs,
           text: noResText
         });
+        saveSession(threadTs, existing);
         return;
       }
-      const ranked = await rankVoicesWithGPT(combinedQuery, refinedPlan, voices);
+      const ranked = await rankVoicesWithGPT(combinedQuery, refinedPlan, voices, traceCb);
       existing.keywordPlan = refinedPlan;
       existing.originalQuery = combinedQuery;
       existing.voices = voices;
+      resetResultPaging(existing);
       existing.ranking = ranked.scoreMap;
       existing.lastActive = Date.now();
 
       // Single unified result message
-      let msg = buildMessageFromSession(existing);
-      msg = await translateForUserLanguage(msg, existing.uiLanguage);
-      const blocks = buildBlocksFromText(msg);
-      await safePostMessage(client, {
-        channel: event.channel,
-        thread_ts: threadTs,
-        text: msg,
-        blocks: blocks || undefined
-      });
+      await postSessionResults(client, { channel: event.channel, threadTs, session: existing, controls: true });
       if (process.env.POC_SEARCH_REPORT === 'true') {
         const coverage = Array.isArray(voices)
           ? voices.map((v) => ({
@@ -7723,6 +9890,7 @@ app.event('app_mention', async ({ event, client }) => {
         const dmText = `${cleaned}\n\n${report}`;
         await postPocReportDm(client, dmText);
       }
+      saveSession(threadTs, existing);
       return;
     } catch (e) {
       safeLogAxiosError('refineKeywordPlanFromFollowUp', e);
@@ -7731,11 +9899,159 @@ app.event('app_mention', async ({ event, client }) => {
   }
 
   await handleNewSearch(event, cleaned, threadTs, client);
+}
+
+async function handleReferenceAudioMessage({ event, client, cleaned, threadTs, file }) {
+  const uiLang = (guessUiLanguageFromText(cleaned) || getSession(threadTs)?.uiLanguage || 'en').toString().slice(0, 2).toLowerCase();
+  let ref;
+  try {
+    ref = await downloadReferenceAudio(file);
+  } catch (e) {
+    safeLogAxiosError('downloadReferenceAudio', e);
+    ref = {
+      ok: false,
+      reason:
+        e?.code === 'ERR_BAD_RESPONSE' || /maxContentLength/i.test(e?.message || '')
+          ? `The file is too large (max ${(SIMILAR_AUDIO_MAX_BYTES / (1024 * 1024)).toFixed(0)} MB).`
+          : "I couldn't download the attached file."
+    };
+  }
+  if (!ref.ok) {
+    const text = await translateForUserLanguage(ref.reason, uiLang);
+    await safePostMessage(client, { channel: event.channel, thread_ts: threadTs, text });
+    return;
+  }
+  const brief = cleaned || 'Find voices similar to the attached recording.';
+  await handleNewSearch(event, brief, threadTs, client, { referenceAudio: ref });
+}
+
+let botUserIdPromise = null;
+async function getBotUserId(client) {
+  if (!botUserIdPromise) {
+    botUserIdPromise = client.auth
+      .test()
+      .then((res) => res?.user_id || null)
+      .catch((e) => {
+        botUserIdPromise = null;
+        console.error('auth.test failed', e?.data?.error || e?.message || e);
+        return null;
+      });
+  }
+  return botUserIdPromise;
+}
+
+app.event('app_mention', handleUserMessage);
+
+app.event('message', async ({ event, client }) => {
+  // Only direct messages; channel traffic reaches us through app_mention.
+  if (event.channel_type !== 'im') return;
+  // Ignore bot echoes (including our own replies) and edits/deletes/joins; file shares may carry a reference clip.
+  if (event.bot_id || (event.subtype && event.subtype !== 'file_share')) return;
+  if (!(event.text || '').trim() && !pickReferenceAudioFile(event.files)) return;
+  // Our own uploads (previews, auditions) come back as file_share messages from the bot user.
+  if (event.subtype === 'file_share' && event.user && event.user === (await getBotUserId(client))) return;
+  await handleUserMessage({ event, client });
+});
+
+// -------------------------------------------------------------
+// Message shortcut – "Find similar voices"
+// -------------------------------------------------------------
+// Slack app config: Interactivity & Shortcuts -> "On messages" shortcut with callback ID
+// `find_similar_voices`. Works on any message with a voice_id (text, links, attachments) or an
+// mp3/wav/m4a file; results go into a thread under that message.
+const FIND_SIMILAR_SHORTCUT_ID = 'find_similar_voices';
+
+// Message text plus legacy attachment / Block Kit text, so voice ids in bot cards are found too.
+function collectShortcutMessageText(message) {
+  const parts = [message?.text || ''];
+  for (const a of Array.isArray(message?.attachments) ? message.attachments : []) {
+    parts.push(a?.text || '', a?.fallback || '', a?.title_link || '', a?.from_url || '');
+  }
+  for (const b of Array.isArray(message?.blocks) ? message.blocks : []) {
+    if (b?.text?.text) parts.push(b.text.text);
+    for (const el of Array.isArray(b?.elements) ? b.elements : []) {
+      if (el?.value) parts.push(el.value);
+      if (typeof el?.text === 'string') parts.push(el.text);
+    }
+  }
+  return parts.filter(Boolean).join('\n');
+}
+
+app.shortcut(FIND_SIMILAR_SHORTCUT_ID, async ({ ack, shortcut, client }) => {
+  try { await ack(); } catch (_) {}
+  const channel = shortcut.channel?.id;
+  const userId = shortcut.user?.id;
+  const message = shortcut.message || {};
+  // Replies can't have their own thread: a shortcut on a reply answers in the parent thread.
+  const threadTs = message.thread_ts || message.ts;
+  const tell = async (text) => {
+    try {
+      await client.chat.postEphemeral({ channel, user: userId, thread_ts: message.thread_ts || undefined, text });
+    } catch (_) {
+      // Bot not in the channel: fall back to a DM.
+      try {
+        await client.chat.postMessage({ channel: userId, text });
+      } catch (_) {}
+    }
+  };
+  try {
+    if (!channel || !threadTs) return;
+    const file = pickReferenceAudioFile(message.files);
+    const voiceIds = file ? [] : extractVoiceIdCandidates(collectShortcutMessageText(message)).slice(0, SIMILAR_MAX_REFERENCES);
+    if (!file && !voiceIds.length) {
+      await tell('I couldn\'t find a voice ID or an mp3/wav/m4a file in that message.');
+      return;
+    }
+
+    let ref = null;
+    if (file) {
+      try {
+        ref = await downloadReferenceAudio(file);
+      } catch (e) {
+        safeLogAxiosError('downloadReferenceAudio', e);
+        ref = { ok: false, reason: "I couldn't download the attached file." };
+      }
+      if (!ref.ok) {
+        await tell(ref.reason);
+        return;
+      }
+    }
+
+    const brief = file ? 'Find voices similar to the attached recording.' : `Find voices similar to ${voiceIds.join(', ')}.`;
+    try {
+      await client.chat.postMessage({
+        channel,
+        thread_ts: threadTs,
+        text: `:mag: <@${userId}> is looking for voices similar to ${file ? `*${file.name || 'this recording'}*` : voiceIds.map((id) => `\`${id}\``).join(', ')}…`
+      });
+    } catch (e) {
+      if (e?.data?.error === 'not_in_channel' || e?.data?.error === 'channel_not_found') {
+        await tell('Please invite me to this channel first (`/invite @voices-bot`), then try again.');
+        return;
+      }
+      throw e;
+    }
+    await handleNewSearch({ channel, user: userId }, brief, threadTs, client, {
+      referenceAudio: ref && ref.ok ? ref : null,
+      referenceVoiceIds: file ? null : voiceIds
+    });
+  } catch (err) {
+    console.error('find_similar_voices shortcut error', err);
+    await tell(getLabels().genericError);
+  }
 });
 
 // -------------------------------------------------------------
 // Slack interactive controls
 // -------------------------------------------------------------
+// Channel + search thread of a button click on a result message (the thread root ts is the session key).
+function resolveActionChannelThread(body) {
+  return {
+    channel: body?.channel?.id || body?.container?.channel_id || body?.item?.channel || null,
+    threadTs: body?.container?.thread_ts || body?.container?.message_ts || body?.message?.thread_ts || body?.message?.ts || null
+  };
+}
+
 app.action('toggle_featured', async ({ ack, body, client }) => {
   try { await ack(); } catch (_) {}
   try {
@@ -7746,7 +10062,7 @@ app.action('toggle_featured', async ({ ack, body, client }) => {
       body.message?.thread_ts ||
       body.message?.ts;
     if (!threadTs || !channel) return;
-    const session = sessions[threadTs];
+    const session = getSession(threadTs);
     if (!session) return;
     session.filters.featured = session.filters.featured ? false : true;
     session._serverFiltersChanged = true;
@@ -7764,18 +10080,18 @@ app.action('toggle_featured', async ({ ack, body, client }) => {
       const noResText = await translateForUserLanguage(labels.noResults, session.uiLanguage);
       await client.chat.postMessage({ channel, thread_ts: threadTs, text: noResText });
       session._serverFiltersChanged = false;
+      saveSession(threadTs, session);
       return;
     }
-    const ranked = await rankVoicesWithGPT(session.originalQuery, plan, voices);
+    const ranked = await rankVoicesWithGPT(session.originalQuery, plan, voices, traceCb);
     session.keywordPlan = plan;
     session.voices = voices;
+    resetResultPaging(session);
     session.ranking = ranked.scoreMap;
     session._serverFiltersChanged = false;
+    saveSession(threadTs, session);
 
-    let msg = buildMessageFromSession(session);
-    msg = await translateForUserLanguage(msg, session.uiLanguage);
-    const blocks = buildBlocksFromText(msg);
-    await client.chat.postMessage({ channel, thread_ts: threadTs, text: msg, blocks: blocks || undefined });
+    await updateSessionResults(client, { channel, threadTs, session, messageTs: body.message?.ts });
   } catch (err) {
     console.error('toggle_featured error', err);
   }
@@ -7791,7 +10107,7 @@ app.action('show_more', async ({ ack, body, client }) => {
       body.message?.thread_ts ||
       body.message?.ts;
     if (!threadTs || !channel) return;
-    const session = sessions[threadTs];
+    const session = getSession(threadTs);
     if (!session) return;
     session.filters.listAll = true;
     // Ensure "show more" actually expands output, even if a "top N" limit was set previously.
@@ -7809,17 +10125,17 @@ app.action('show_more', async ({ ack, body, client }) => {
       const labels = getLabels();
       const noResText = await translateForUserLanguage(labels.noResults, session.uiLanguage);
       await client.chat.postMessage({ channel, thread_ts: threadTs, text: noResText });
+      saveSession(threadTs, session);
       return;
     }
-    const ranked = await rankVoicesWithGPT(session.originalQuery, plan, voices);
+    const ranked = await rankVoicesWithGPT(session.originalQuery, plan, voices, traceCb);
     session.keywordPlan = plan;
     session.voices = voices;
+    resetResultPaging(session);
     session.ranking = ranked.scoreMap;
+    saveSession(threadTs, session);
 
-    let msg = buildMessageFromSession(session);
-    msg = await translateForUserLanguage(msg, session.uiLanguage);
-    const blocks = buildBlocksFromText(msg);
-    await client.chat.postMessage({ channel, thread_ts: threadTs, text: msg, blocks: blocks || undefined });
+    await updateSessionResults(client, { channel, threadTs, session, messageTs: body.message?.ts });
   } catch (err) {
     console.error('show_more error', err);
   }
@@ -7835,22 +10151,3011 @@ app.action('cycle_quality', async ({ ack, body, client }) => {
       body.message?.thread_ts ||
       body.message?.ts;
     if (!threadTs || !channel) return;
-    const session = sessions[threadTs];
+    const session = getSession(threadTs);
     if (!session) return;
     const current = session.filters.quality || 'any';
     const next = current === 'any' ? 'high_only' : current === 'high_only' ? 'no_high' : 'any';
     session.filters.quality = next;
+    resetResultPaging(session);
+    saveSession(threadTs, session);
 
     // quality change does not mandate server refetch; re-render
-    let msg = buildMessageFromSession(session);
-    msg = await translateForUserLanguage(msg, session.uiLanguage);
-    const blocks = buildBlocksFromText(msg);
-    await client.chat.postMessage({ channel, thread_ts: threadTs, text: msg, blocks: blocks || undefined });
+    await updateSessionResults(client, { channel, threadTs, session, messageTs: body.message?.ts });
   } catch (err) {
     console.error('cycle_quality error', err);
   }
 });
 
+// Snapshot: freeze the current state as a separate message (no controls, so it never changes).
+app.action('post_snapshot', async ({ ack, body, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const { channel, threadTs } = resolveActionChannelThread(body);
+    if (!threadTs || !channel) return;
+    const session = getSession(threadTs);
+    if (!session) return;
+    const view = findResultView(session, body.message?.ts);
+    await postSessionResults(client, {
+      channel,
+      threadTs,
+      session,
+      intro: view?.intro || null,
+      outro: view?.outro || null
+    });
+  } catch (err) {
+    console.error('post_snapshot error', err);
+  }
+});
+
+// Paging: move through the ranked pool; fetch more only once the local pool is used up.
+async function handlePageAction({ ack, body, client }, delta) {
+  try { await ack(); } catch (_) {}
+  try {
+    const { channel, threadTs } = resolveActionChannelThread(body);
+    if (!threadTs || !channel) return;
+    const session = getSession(threadTs);
+    if (!session) return;
+
+    const page = getResultPage(session);
+    if (!page) return;
+    let target = Math.max(0, page.index + delta);
+    if (delta > 0 && (target + 1) * page.size > page.total && sessionMayFetchMore(session)) {
+      try {
+        await fetchMoreVoicesForSession(session);
+      } catch (e) {
+        safeLogAxiosError('fetchMoreVoicesForSession', e);
+      }
+    }
+    const total = getResultPool(session).length;
+    if (target * page.size >= total) target = page.index;
+    session.page = { index: target };
+    session.lastActive = Date.now();
+    saveSession(threadTs, session);
+    await updateSessionResults(client, { channel, threadTs, session, messageTs: body.message?.ts });
+  } catch (err) {
+    console.error('page action error', err);
+  }
+}
+
+app.action('page_next', async (args) => handlePageAction(args, 1));
+app.action('page_prev', async (args) => handlePageAction(args, -1));
+
+// Facet clarification buttons: same outcome as typing the option number (or "any").
+app.action(/^facet_pick:/, async ({ ack, body, action, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const { channel } = resolveActionChannelThread(body);
+    const threadTs =
+      body.container?.thread_ts ||
+      body.message?.thread_ts ||
+      body.container?.message_ts ||
+      body.message?.ts;
+    if (!threadTs || !channel) return;
+    const session = getSession(threadTs);
+    const pending = session?.pendingFacetQuestion;
+    if (!pending) return; // already answered (typed or clicked)
+
+    const choice = (action?.value || String(action?.action_id || '').split(':')[1] || '').toString();
+    const opts = Array.isArray(pending.options) ? pending.options : [];
+    const picked = choice === 'any' ? FACET_ANY_CHOICE : opts[Number(choice)] || null;
+    if (!picked) return;
+
+    // Starting the search clears pendingFacetQuestion right away, so a double click is a no-op.
+    // Failures are caught here so the thread gets an answer even though the buttons are already gone.
+    const search = runFacetChoiceSearch(client, { channel, threadTs, session, picked }).then(
+      () => true,
+      (err) => {
+        console.error('facet_pick search error', err);
+        return false;
+      }
+    );
+
+    // Drop the buttons from the question so it can't be answered twice.
+    if (body.message?.ts) {
+      try {
+        const label = picked.any ? 'any' : (picked.label || picked.value || '').toString();
+        const note = await translateForUserLanguage(`Selected: ${label}`, session.uiLanguage);
+        const blocks = (body.message.blocks || []).filter((b) => b && b.type !== 'actions');
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `✅ ${note}` }] });
+        await client.chat.update({ channel, ts: body.message.ts, text: body.message.text || note, blocks });
+      } catch (_) {}
+    }
+
+    if (!(await search)) {
+      const errText = await translateForUserLanguage(getLabels().genericError, session.uiLanguage);
+      await safePostMessage(client, { channel, thread_ts: threadTs, text: errText });
+    }
+  } catch (err) {
+    console.error('facet_pick error', err);
+  }
+});
+
+// Link buttons still send an interaction payload; acknowledge it so Slack doesn't show an error.
+app.action(/^open_voice:/, async ({ ack }) => {
+  try { await ack(); } catch (_) {}
+});
+
+// Preview: upload the voice's preview clip into the thread (once per voice per thread).
+const previewUploadsInFlight = new Map(); // `${threadTs}:${voiceId}` -> Promise
+
+app.action(/^preview_voice:/, async ({ ack, body, action, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const { channel, threadTs } = resolveActionChannelThread(body);
+    const voiceId = (action?.value || '').toString();
+    const userId = body.user?.id;
+    if (!threadTs || !channel || !voiceId) return;
+
+    const notify = async (text) => {
+      try {
+        await client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text });
+      } catch (_) {}
+    };
+
+    if (isVoiceBlocked(voiceId)) {
+      await notify(`This voice is ${VOICE_POLICY_BLOCKED_TEXT}.`);
+      return;
+    }
+    const session = getSession(threadTs);
+    const cached = session?.previewUploads?.[voiceId];
+    if (cached) {
+      await notify(cached.permalink ? `Preview already in this thread: <${cached.permalink}|${cached.name || voiceId}>` : 'Preview already in this thread.');
+      return;
+    }
+
+    const key = `${threadTs}:${voiceId}`;
+    if (previewUploadsInFlight.has(key)) return;
+    const task = (async () => {
+      let voice = session ? findSessionVoice(session, voiceId) : null;
+      if (!voice || !voice.preview_url) voice = await fetchSharedVoiceByIdOrSearch(voiceId);
+      if (!voice || voice.voice_id !== voiceId || !voice.preview_url) {
+        await notify('No preview is available for this voice.');
+        return;
+      }
+      if (isVoiceBlocked(voice)) {
+        await notify(`This voice is ${VOICE_POLICY_BLOCKED_TEXT}.`);
+        return;
+      }
+      const buffer = await downloadToBuffer(voice.preview_url);
+      let ext = '.mp3';
+      try {
+        ext = path.extname(new URL(voice.preview_url).pathname) || '.mp3';
+      } catch (_) {}
+      const safeName = String(voice.name || 'voice').replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 40);
+      const res = await client.files.uploadV2({
+        channel_id: channel,
+        thread_ts: threadTs,
+        file: buffer,
+        filename: `${safeName}-${voiceId}${ext}`,
+        title: `${voice.name || voiceId} – preview`
+      });
+      // uploadV2 returns one completion result per file; shape differs slightly across web-api versions.
+      const entry = Array.isArray(res?.files) ? res.files[0] : null;
+      const file = (Array.isArray(entry?.files) ? entry.files[0] : entry) || null;
+      if (session) {
+        session.previewUploads = session.previewUploads || {};
+        session.previewUploads[voiceId] = {
+          fileId: file?.id || null,
+          permalink: file?.permalink || null,
+          name: voice.name || null,
+          uploadedAt: Date.now()
+        };
+        saveSession(threadTs, session);
+      }
+    })();
+    previewUploadsInFlight.set(key, task);
+    try {
+      await task;
+    } finally {
+      previewUploadsInFlight.delete(key);
+    }
+  } catch (err) {
+    safeLogAxiosError('preview_voice', err);
+  }
+});
+
+// -------------------------------------------------------------
+// /voices slash command – modal search builder
+// -------------------------------------------------------------
+// Structured alternative to free-text mentions. The modal fields are turned into a brief
+// (so text-driven helpers like detectAgeFromText keep working) plus plan overrides, then the
+// normal handleNewSearch pipeline runs and posts into the chosen channel (or a DM).
+const VOICES_MODAL_CALLBACK_ID = 'voices_search_modal';
+
+const VOICES_MODAL_USE_CASES = [
+  { value: 'conversational', label: 'Conversational / support' },
+  { value: 'narration', label: 'Narration / audiobook' },
+  { value: 'commercial', label: 'Advertisement' },
+  { value: 'character', label: 'Characters / animation / games' },
+  { value: 'podcast', label: 'Entertainment / TV / podcast' },
+  { value: 'educational', label: 'Educational / explainer' },
+  { value: 'social media', label: 'Social media' }
+];
+
+function modalOption(text, value) {
+  return { text: { type: 'plain_text', text: String(text).slice(0, 75) }, value: String(value).slice(0, 150) };
+}
+
+function getLanguageOptionsForModal() {
+  // languageIndex maps many names/aliases -> iso2; keep the shortest name per iso2 as the label.
+  const bestByIso2 = new Map();
+  for (const [name, iso2] of languageIndex.byName.entries()) {
+    if (!/^[a-z]{2}$/.test(iso2 || '') || !name || name.length < 3) continue;
+    const prev = bestByIso2.get(iso2);
+    if (!prev || name.length < prev.length) bestByIso2.set(iso2, name);
+  }
+  if (!bestByIso2.size) {
+    let names = null;
+    try {
+      names = new Intl.DisplayNames(['en'], { type: 'language' });
+    } catch (_) {}
+    for (const iso2 of FALLBACK_ISO2_ALLOWLIST) {
+      bestByIso2.set(iso2, (names && names.of(iso2)) || iso2.toUpperCase());
+    }
+  }
+  const out = Array.from(bestByIso2.entries()).map(([iso2, name]) => ({
+    iso2,
+    label: name.replace(/\b\w/g, (c) => c.toUpperCase())
+  }));
+  out.sort((a, b) => a.label.localeCompare(b.label));
+  return out.slice(0, 100);
+}
+
+function getAccentLocaleOptionsForModal(iso2) {
+  const k = (iso2 || '').toString().toLowerCase().slice(0, 2);
+  if (!k) return [];
+  const out = [];
+  const seen = new Set();
+  const push = (type, value, label) => {
+    const v = `${type}:${value}`;
+    if (!value || seen.has(v)) return;
+    seen.add(v);
+    out.push({ value: v, label });
+  };
+  try {
+    if (facetKB && facetKB.isLoaded && facetKB.isLoaded() && facetKB.hasIso2 && facetKB.hasIso2(k)) {
+      for (const v of facetKB.getFacetVariants(k, 'locale', { maxVariants: 8 })) {
+        push('locale', v.facetValue, `Locale: ${v.facetLabel}`);
+      }
+      for (const v of facetKB.getFacetVariants(k, 'accent', { maxVariants: 15 })) {
+        push('accent', v.facetValue, v.count ? `${v.facetLabel} (${v.count})` : v.facetLabel);
+      }
+    }
+  } catch (_) {}
+  if (!out.length) {
+    // FacetKB not configured/loaded: fall back to the local accent catalog.
+    const bucket = accentCatalog?.byIso2?.get(k);
+    for (const loc of Array.from(bucket?.locales || []).slice(0, 20)) push('locale', loc, `Locale: ${loc}`);
+    for (const acc of Array.from(bucket?.accents || []).slice(0, 60)) push('accent', acc, acc);
+  }
+  return out.slice(0, 100);
+}
+
+function buildVoicesModalView({ channelId = null, brief = '', iso2 = null } = {}) {
+  const languages = getLanguageOptionsForModal();
+  const selectedLang = languages.find((l) => l.iso2 === iso2) || null;
+  const accentOptions = getAccentLocaleOptionsForModal(iso2);
+  const staticSelect = (actionId, options, placeholder) => ({
+    type: 'static_select',
+    action_id: actionId,
+    placeholder: { type: 'plain_text', text: placeholder },
+    options: options.map((o) => modalOption(o.label, o.value))
+  });
+
+  const blocks = [
+    {
+      type: 'input',
+      block_id: 'brief',
+      label: { type: 'plain_text', text: 'Brief' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'brief_input',
+        multiline: true,
+        initial_value: brief ? String(brief).slice(0, 3000) : undefined,
+        placeholder: { type: 'plain_text', text: 'e.g. calm, warm narrator for a meditation app' }
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'language',
+      optional: true,
+      dispatch_action: true,
+      label: { type: 'plain_text', text: 'Voice language' },
+      element: {
+        ...staticSelect(
+          'voices_modal_language',
+          languages.map((l) => ({ value: l.iso2, label: l.label })),
+          'Any language'
+        ),
+        initial_option: selectedLang ? modalOption(selectedLang.label, selectedLang.iso2) : undefined
+      }
+    }
+  ];
+
+  if (accentOptions.length) {
+    blocks.push({
+      type: 'input',
+      // block_id includes the language so Slack drops a stale selection when the language changes
+      block_id: `accent_${iso2}`,
+      optional: true,
+      label: { type: 'plain_text', text: 'Accent / locale' },
+      element: staticSelect('accent_input', accentOptions, 'Any accent')
+    });
+  } else {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: iso2 ? 'No accent data for this language yet.' : 'Pick a language to choose an accent or locale.' }]
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'input',
+      block_id: 'gender',
+      optional: true,
+      label: { type: 'plain_text', text: 'Gender' },
+      element: staticSelect(
+        'gender_input',
+        [
+          { value: 'female', label: 'Female' },
+          { value: 'male', label: 'Male' },
+          { value: 'neutral', label: 'Neutral' }
+        ],
+        'Any'
+      )
+    },
+    {
+      type: 'input',
+      block_id: 'age',
+      optional: true,
+      label: { type: 'plain_text', text: 'Age' },
+      element: staticSelect(
+        'age_input',
+        [
+          { value: 'young', label: 'Young' },
+          { value: 'adult', label: 'Adult' },
+          { value: 'old', label: 'Old' }
+        ],
+        'Any'
+      )
+    },
+    {
+      type: 'input',
+      block_id: 'quality',
+      optional: true,
+      label: { type: 'plain_text', text: 'Quality' },
+      element: staticSelect(
+        'quality_input',
+        [
+          { value: 'high_only', label: 'High quality only' },
+          { value: 'no_high', label: 'Standard only' }
+        ],
+        'Any'
+      )
+    },
+    {
+      type: 'input',
+      block_id: 'use_case',
+      optional: true,
+      label: { type: 'plain_text', text: 'Use case' },
+      element: staticSelect('use_case_input', VOICES_MODAL_USE_CASES, 'Any')
+    },
+    {
+      type: 'input',
+      block_id: 'destination',
+      optional: true,
+      label: { type: 'plain_text', text: 'Post results to' },
+      hint: { type: 'plain_text', text: 'Leave empty to get the results in a DM.' },
+      element: {
+        type: 'conversations_select',
+        action_id: 'destination_input',
+        default_to_current_conversation: true,
+        filter: { include: ['public', 'private'], exclude_bot_users: true },
+        placeholder: { type: 'plain_text', text: 'Direct message' }
+      }
+    }
+  );
+
+  return {
+    type: 'modal',
+    callback_id: VOICES_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify({ channelId: channelId || null }),
+    title: { type: 'plain_text', text: 'Find voices' },
+    submit: { type: 'plain_text', text: 'Search' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
+function readVoicesModalState(values) {
+  const v = values || {};
+  const selected = (blockId, actionId) => v?.[blockId]?.[actionId]?.selected_option?.value || null;
+  const accentBlockId = Object.keys(v).find((k) => k.startsWith('accent_')) || null;
+  const facet = accentBlockId ? selected(accentBlockId, 'accent_input') : null;
+  const m = facet ? facet.match(/^(accent|locale):(.+)$/) : null;
+  return {
+    brief: (v?.brief?.brief_input?.value || '').toString().trim(),
+    iso2: selected('language', 'voices_modal_language'),
+    accent: m && m[1] === 'accent' ? m[2] : null,
+    locale: m && m[1] === 'locale' ? m[2] : null,
+    gender: selected('gender', 'gender_input'),
+    age: selected('age', 'age_input'),
+    quality: selected('quality', 'quality_input'),
+    useCase: selected('use_case', 'use_case_input'),
+    channel: v?.destination?.destination_input?.selected_conversation || null
+  };
+}
+
+// Compose a plain-English brief from the modal fields (this is also what gets echoed in Slack).
+function buildBriefFromStructuredFields(fields) {
+  const f = fields || {};
+  const parts = [];
+  if (f.brief) parts.push(f.brief.replace(/[.\s]+$/, '') + '.');
+  if (f.iso2) {
+    const name = getLanguageOptionsForModal().find((l) => l.iso2 === f.iso2)?.label || f.iso2;
+    parts.push(`Voice language: ${name} (${f.iso2}).`);
+  }
+  if (f.locale) parts.push(`Locale: ${f.locale}.`);
+  if (f.accent) parts.push(`Accent: ${f.accent}.`);
+  if (f.gender) parts.push(`Gender: ${f.gender} voice.`);
+  if (f.age) parts.push(`Age: ${f.age}.`);
+  if (f.quality === 'high_only') parts.push('High quality only.');
+  if (f.quality === 'no_high') parts.push('Standard quality only (no high quality).');
+  if (f.useCase) parts.push(`Use case: ${f.useCase}.`);
+  return parts.join(' ').trim();
+}
+
+function buildPlanOverridesFromFields(fields) {
+  const f = fields || {};
+  const out = {};
+  if (f.iso2) out.target_voice_language = f.iso2;
+  if (f.accent) out.target_accent = f.accent;
+  if (f.locale) out.target_locale = f.locale;
+  if (f.gender) out.target_gender = f.gender;
+  if (f.quality) out.quality_preference = f.quality;
+  if (f.useCase) out.use_case_keywords = [f.useCase];
+  return out;
+}
+
+function applyPlanOverrides(plan, overrides) {
+  if (!plan || !overrides || typeof overrides !== 'object') return plan;
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value == null || value === '') continue;
+    if (key === 'use_case_keywords' && Array.isArray(value)) {
+      plan.use_case_keywords = uniqueMergeKeywords(value, Array.isArray(plan.use_case_keywords) ? plan.use_case_keywords : []);
+    } else {
+      plan[key] = value;
+    }
+  }
+  return plan;
+}
+
+app.command('/voices', async ({ command, ack, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    // trigger_id expires after ~3s: don't let a cold language index/FacetKB block the modal.
+    await Promise.race([
+      Promise.all([ensureLanguageIndexLoaded(), facetKB?.ensureLoaded ? facetKB.ensureLoaded() : null]),
+      sleep(1500)
+    ]);
+    await client.views.open({
+      trigger_id: command.trigger_id,
+      view: buildVoicesModalView({ channelId: command.channel_id, brief: (command.text || '').trim() })
+    });
+  } catch (err) {
+    console.error('/voices error', err);
+  }
+});
+
+app.action('voices_modal_language', async ({ ack, body, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const view = body.view;
+    if (!view) return;
+    const iso2 = body.actions?.[0]?.selected_option?.value || null;
+    let meta = {};
+    try {
+      meta = JSON.parse(view.private_metadata || '{}');
+    } catch (_) {}
+    const brief = view.state?.values?.brief?.brief_input?.value || '';
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: buildVoicesModalView({ channelId: meta.channelId, brief, iso2 })
+    });
+  } catch (err) {
+    console.error('voices_modal_language error', err);
+  }
+});
+
+app.view(VOICES_MODAL_CALLBACK_ID, async ({ ack, body, view, client }) => {
+  const fields = readVoicesModalState(view?.state?.values);
+  if (!fields.brief) {
+    await ack({ response_action: 'errors', errors: { brief: 'Describe the voice you are looking for.' } });
+    return;
+  }
+  await ack();
+  const userId = body.user?.id;
+  try {
+    const text = buildBriefFromStructuredFields(fields);
+    let channel = fields.channel;
+    if (!channel) {
+      const dm = await client.conversations.open({ users: userId });
+      channel = dm?.channel?.id;
+    }
+    if (!channel) return;
+
+    // Results are threaded under a header message, exactly like a mention thread.
+    const header = await client.chat.postMessage({
+      channel,
+      text: `:mag: <@${userId}> voice search: ${text}`
+    });
+    const threadTs = header?.ts;
+    if (!threadTs) return;
+    await handleNewSearch({ channel, user: userId }, text, threadTs, client, {
+      planOverrides: buildPlanOverridesFromFields(fields)
+    });
+  } catch (err) {
+    console.error('voices modal submit error', err);
+    try {
+      if (userId) {
+        await client.chat.postMessage({ channel: userId, text: `${getLabels().genericError} (${err?.data?.error || err?.message || 'error'})` });
+      }
+    } catch (_) {}
+  }
+});
+
+// -------------------------------------------------------------
+// Per-channel default search profile
+// -------------------------------------------------------------
+// Channel admins store defaults (language, accent/locale, quality, gender, featured, age, negatives,
+// use cases) with `/channeldefaults set key=value …` or the modal (`/channeldefaults edit`).
+// handleNewSearch merges them into every new search in that channel, the same way the /voices modal
+// merges its fields: a structured brief suffix (so text-driven filters apply) plus plan overrides.
+// Anything the user states explicitly wins over the default for that field; the defaults that were
+// applied are shown above the results.
+//
+// Env: CHANNEL_DEFAULTS_ADMIN_USERS / CHANNEL_DEFAULTS_ADMIN_USERGROUPS (Slack ids); when unset the
+// voice policy admins manage channel defaults too.
+const CHANNEL_DEFAULTS_ADMIN_USERS = new Set(parseEnvIdList(process.env.CHANNEL_DEFAULTS_ADMIN_USERS));
+const CHANNEL_DEFAULTS_ADMIN_USERGROUPS = parseEnvIdList(process.env.CHANNEL_DEFAULTS_ADMIN_USERGROUPS);
+const CHANNEL_DEFAULTS_CALLBACK_ID = 'channel_defaults_modal';
+const CHANNEL_DEFAULT_KEYS = ['language', 'accent', 'locale', 'quality', 'gender', 'featured', 'age', 'negatives', 'use_cases'];
+// Words that mean the user already chose a gender (English + the languages the bot's parsers know).
+const GENDER_MENTION_RE = /\b(?:male|female|man|men|woman|women|boy|girl|guy|lady|masculine|feminine|neutral|genders?)\b|kobie|mężczy|mezczy|męsk|mesk|hombre|mujer/i;
+
+const channelDefaultsStore = createStore('channel_defaults', process.env.CHANNEL_DEFAULTS_STORE || process.env.SESSION_STORE || 'file');
+
+function getChannelDefaults(channelId) {
+  if (!channelId) return null;
+  try {
+    return channelDefaultsStore.get(String(channelId)) || null;
+  } catch (e) {
+    console.error('[channel_defaults] load failed', e?.message || e);
+    return null;
+  }
+}
+
+async function isChannelDefaultsAdmin(client, userId) {
+  const ownLists = CHANNEL_DEFAULTS_ADMIN_USERS.size > 0 || CHANNEL_DEFAULTS_ADMIN_USERGROUPS.length > 0;
+  return await isUserInAllowlist(client, userId, {
+    users: ownLists ? CHANNEL_DEFAULTS_ADMIN_USERS : VOICE_POLICY_ADMIN_USERS,
+    usergroups: ownLists ? CHANNEL_DEFAULTS_ADMIN_USERGROUPS : VOICE_POLICY_ADMIN_USERGROUPS,
+    context: 'channel_defaults'
+  });
+}
+
+function splitDefaultsList(value) {
+  return dedupePreserveOrder(
+    (value || '')
+      .toString()
+      .split(/[,;|]+/)
+      .map((s) => normalizeKw(s))
+      .filter((s) => s && s.length <= 40)
+  ).slice(0, 12);
+}
+
+// One "key=value" pair -> { key, value } or { error }. Values are validated/normalized here so the
+// store only ever holds values the search pipeline understands.
+function parseChannelDefaultValue(key, raw) {
+  const v = (raw || '').toString().trim();
+  const lower = v.toLowerCase();
+  const cleared = !v || ['any', 'none', 'off', '-'].includes(lower);
+  switch (key) {
+    case 'language': {
+      if (cleared) return { key: 'iso2', value: null };
+      const iso2 = resolveLanguageCode(v);
+      return iso2 ? { key: 'iso2', value: iso2 } : { error: `unknown language \`${v}\`` };
+    }
+    case 'accent':
+      return { key: 'accent', value: cleared ? null : normalizeCatalogToken(v) || null };
+    case 'locale': {
+      if (cleared) return { key: 'locale', value: null };
+      const loc = normalizeRequestedLocale(v);
+      return loc ? { key: 'locale', value: loc } : { error: `unknown locale \`${v}\`` };
+    }
+    case 'quality': {
+      if (cleared) return { key: 'quality', value: null };
+      if (/^(high|hq|high_only|high-only)$/.test(lower)) return { key: 'quality', value: 'high_only' };
+      if (/^(standard|no_high|no-high|no high)$/.test(lower)) return { key: 'quality', value: 'no_high' };
+      return { error: 'quality must be high, standard or any' };
+    }
+    case 'gender':
+      if (cleared) return { key: 'gender', value: null };
+      return ['male', 'female', 'neutral'].includes(lower) ? { key: 'gender', value: lower } : { error: 'gender must be male, female, neutral or any' };
+    case 'age':
+      if (cleared) return { key: 'age', value: null };
+      return ['child', 'young', 'adult', 'old'].includes(lower) ? { key: 'age', value: lower } : { error: 'age must be child, young, adult, old or any' };
+    case 'featured':
+      return { key: 'featured', value: /^(on|yes|true|1)$/.test(lower) };
+    case 'negatives':
+      return { key: 'negatives', value: cleared ? [] : splitDefaultsList(v) };
+    case 'use_cases':
+      return { key: 'useCases', value: cleared ? [] : splitDefaultsList(v) };
+    default:
+      return { error: `unknown setting \`${key}\` (use ${CHANNEL_DEFAULT_KEYS.join(', ')})` };
+  }
+}
+
+// "set language=es quality=high negatives=cartoon, robotic" / "clear [key]" / "edit" / "show"
+function parseChannelDefaultsCommand(text) {
+  const t = (text || '').toString().trim();
+  if (!t || /^(show|list)$/i.test(t)) return { action: 'show' };
+  if (/^(edit|modal)$/i.test(t)) return { action: 'edit' };
+  let m = t.match(/^(?:clear|reset)(?:\s+([a-z_]+))?\s*$/i);
+  if (m) return { action: 'clear', key: m[1] ? m[1].toLowerCase() : null };
+  m = t.match(/^set\s+([\s\S]+)$/i);
+  if (!m) return { action: 'help' };
+  const changes = {};
+  const errors = [];
+  // Values run until the next "key=" so lists may contain spaces ("negatives=cartoon, robotic").
+  const re = /([a-z_]+)\s*=\s*([\s\S]*?)(?=\s+[a-z_]+\s*=|$)/gi;
+  let pair;
+  while ((pair = re.exec(m[1]))) {
+    const res = parseChannelDefaultValue(pair[1].toLowerCase().replace(/^usecases?$|^use_case$/, 'use_cases'), pair[2]);
+    if (res.error) errors.push(res.error);
+    else changes[res.key] = res.value;
+  }
+  if (!Object.keys(changes).length && !errors.length) return { action: 'help' };
+  return { action: 'set', changes, errors };
+}
+
+function describeChannelDefaults(defaults) {
+  const d = defaults || {};
+  const out = [];
+  if (d.iso2) out.push(`${getLanguageDisplayName(d.iso2)} (${d.iso2})`);
+  if (d.locale) out.push(`locale ${d.locale}`);
+  if (d.accent) out.push(`${d.accent} accent`);
+  if (d.quality === 'high_only') out.push('high quality only');
+  if (d.quality === 'no_high') out.push('standard quality only');
+  if (d.gender) out.push(d.gender);
+  if (d.age) out.push(d.age);
+  if (d.featured) out.push('featured only');
+  if (Array.isArray(d.useCases) && d.useCases.length) out.push(`use case: ${d.useCases.join(', ')}`);
+  if (Array.isArray(d.negatives) && d.negatives.length) out.push(`no ${d.negatives.join(', no ')}`);
+  return out;
+}
+
+// Which defaults apply to this brief (fields the user didn't state themselves), plus the brief
+// suffix / plan overrides that carry them into the search. Returns null when nothing applies.
+function resolveChannelDefaultsForBrief(defaults, text) {
+  if (!defaults || typeof defaults !== 'object') return null;
+  const brief = (text || '').toString();
+  const lower = brief.toLowerCase();
+  const hint = parseUserLanguageHints(brief);
+  const applied = {};
+
+  if (defaults.iso2 && !hint?.iso2) applied.iso2 = defaults.iso2;
+  const sameLanguage = !hint?.iso2 || hint.iso2 === defaults.iso2;
+  if (sameLanguage && !hint?.locale && !hasExplicitAccentMention(brief)) {
+    if (defaults.locale) applied.locale = defaults.locale;
+    else if (defaults.accent) applied.accent = defaults.accent;
+  }
+  if (defaults.quality && !detectQualityPreferenceFromText(brief)) applied.quality = defaults.quality;
+  if (defaults.gender && !GENDER_MENTION_RE.test(lower)) applied.gender = defaults.gender;
+  if (defaults.age && !detectAgeFromText(brief)) applied.age = defaults.age;
+  if (defaults.featured && !/\bfeatured\b/.test(lower)) applied.featured = true;
+  if (Array.isArray(defaults.useCases) && defaults.useCases.length && !hasExplicitUseCaseMention(brief)) {
+    applied.useCases = defaults.useCases.slice();
+  }
+  // A negative the user mentions themselves ("cartoon voice", "no cartoon") is theirs to decide.
+  const negatives = (Array.isArray(defaults.negatives) ? defaults.negatives : []).filter((n) => !explicitlyMentionedInText(n, brief));
+  if (negatives.length) applied.negatives = negatives;
+  if (!Object.keys(applied).length) return null;
+
+  const fields = {
+    iso2: applied.iso2 || null,
+    accent: applied.accent || null,
+    locale: applied.locale || null,
+    gender: applied.gender || null,
+    age: applied.age || null,
+    quality: applied.quality || null,
+    useCase: applied.useCases ? applied.useCases.join(', ') : null
+  };
+  const overrides = buildPlanOverridesFromFields({ ...fields, useCase: null });
+  if (applied.useCases) overrides.use_case_keywords = applied.useCases;
+  return {
+    applied,
+    suffix: buildBriefFromStructuredFields(fields),
+    overrides,
+    negatives: applied.negatives || [],
+    featured: applied.featured === true,
+    labels: describeChannelDefaults(applied)
+  };
+}
+
+// Carries the resolved defaults on the plan, so refetches (which clone the plan) keep them.
+function applyChannelDefaultsToPlan(plan, resolved) {
+  if (!plan || !resolved) return plan;
+  applyPlanOverrides(plan, resolved.overrides);
+  if (resolved.negatives.length) plan.__extraNegatives = resolved.negatives.slice();
+  plan.__channelDefaults = resolved.labels.slice();
+  return plan;
+}
+
+function buildChannelDefaultsHelpText() {
+  return [
+    '*Channel defaults* – applied to every new search in this channel unless the brief says otherwise:',
+    '• `set language=es quality=high negatives=cartoon, robotic` – keys: ' + CHANNEL_DEFAULT_KEYS.join(', '),
+    '• `edit` – open the editor',
+    '• `clear [key]` – remove one or all defaults',
+    '• `show` – current defaults'
+  ].join('\n');
+}
+
+function buildChannelDefaultsText(defaults) {
+  const labels = describeChannelDefaults(defaults);
+  if (!labels.length) return 'No channel defaults set. Try `/channeldefaults set language=es quality=high`.';
+  const by = defaults.updatedBy ? ` (last change by <@${defaults.updatedBy}>)` : '';
+  return `*Channel defaults:* ${labels.join(' · ')}${by}`;
+}
+
+function saveChannelDefaults(channelId, defaults, userId) {
+  const next = { ...defaults, updatedBy: userId || null, updatedAt: Date.now() };
+  if (!describeChannelDefaults(next).length) channelDefaultsStore.delete(String(channelId));
+  else channelDefaultsStore.set(String(channelId), next);
+  return next;
+}
+
+function buildChannelDefaultsModalView({ channelId, defaults, iso2 }) {
+  const d = defaults || {};
+  const lang = iso2 === undefined ? d.iso2 || null : iso2;
+  // Selects can't be emptied once picked, so each one offers an explicit "Any".
+  const any = { value: 'any', label: 'Any' };
+  const languages = getLanguageOptionsForModal().slice(0, 99);
+  const selectedLang = languages.find((l) => l.iso2 === lang) || null;
+  const accentOptions = getAccentLocaleOptionsForModal(lang);
+  const currentFacet = d.iso2 === lang ? (d.locale ? `locale:${d.locale}` : d.accent ? `accent:${d.accent}` : null) : null;
+  const select = (blockId, actionId, label, options, placeholder, value) => {
+    const picked = options.find((o) => o.value === value) || null;
+    return {
+      type: 'input',
+      block_id: blockId,
+      optional: true,
+      label: { type: 'plain_text', text: label },
+      element: {
+        type: 'static_select',
+        action_id: actionId,
+        placeholder: { type: 'plain_text', text: placeholder },
+        options: options.map((o) => modalOption(o.label, o.value)),
+        initial_option: picked ? modalOption(picked.label, picked.value) : undefined
+      }
+    };
+  };
+  const text = (blockId, label, value, hint) => ({
+    type: 'input',
+    block_id: blockId,
+    optional: true,
+    label: { type: 'plain_text', text: label },
+    hint: { type: 'plain_text', text: hint },
+    element: { type: 'plain_text_input', action_id: `${blockId}_input`, initial_value: value || undefined }
+  });
+
+  const blocks = [
+    {
+      ...select('language', 'channel_defaults_language', 'Voice language', [any, ...languages.map((l) => ({ value: l.iso2, label: l.label }))], 'Any language', lang),
+      dispatch_action: true
+    }
+  ];
+  if (accentOptions.length) {
+    // block_id includes the language so Slack drops a stale selection when the language changes
+    blocks.push(select(`accent_${lang}`, 'accent_input', 'Accent / locale', [{ value: 'any', label: 'Any accent' }, ...accentOptions], 'Any accent', currentFacet));
+  }
+  blocks.push(
+    select('gender', 'gender_input', 'Gender', [any, { value: 'female', label: 'Female' }, { value: 'male', label: 'Male' }, { value: 'neutral', label: 'Neutral' }], 'Any', d.gender),
+    select('age', 'age_input', 'Age', [any, { value: 'child', label: 'Child' }, { value: 'young', label: 'Young' }, { value: 'adult', label: 'Adult' }, { value: 'old', label: 'Old' }], 'Any', d.age),
+    select('quality', 'quality_input', 'Quality', [any, { value: 'high_only', label: 'High quality only' }, { value: 'no_high', label: 'Standard only' }], 'Any', d.quality),
+    {
+      type: 'input',
+      block_id: 'featured',
+      optional: true,
+      label: { type: 'plain_text', text: 'Featured voices' },
+      element: {
+        type: 'checkboxes',
+        action_id: 'featured_input',
+        options: [modalOption('Featured only', 'on')],
+        initial_options: d.featured ? [modalOption('Featured only', 'on')] : undefined
+      }
+    },
+    text('use_cases', 'Use cases', (d.useCases || []).join(', '), 'Comma-separated, e.g. narration, podcast'),
+    text('negatives', 'Never include', (d.negatives || []).join(', '), 'Comma-separated, e.g. cartoon, whisper')
+  );
+  return {
+    type: 'modal',
+    callback_id: CHANNEL_DEFAULTS_CALLBACK_ID,
+    private_metadata: JSON.stringify({ channelId }),
+    title: { type: 'plain_text', text: 'Channel defaults' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
+function readChannelDefaultsModalState(values) {
+  const v = values || {};
+  const base = readVoicesModalState(v);
+  const pick = (value) => (value && value !== 'any' ? value : null);
+  const iso2 = pick(v?.language?.channel_defaults_language?.selected_option?.value);
+  const featured = v?.featured?.featured_input?.selected_options || [];
+  return {
+    iso2,
+    accent: iso2 ? base.accent : null,
+    locale: iso2 ? base.locale : null,
+    gender: pick(base.gender),
+    age: pick(base.age),
+    quality: pick(base.quality),
+    featured: featured.some((o) => o?.value === 'on'),
+    useCases: splitDefaultsList(v?.use_cases?.use_cases_input?.value),
+    negatives: splitDefaultsList(v?.negatives?.negatives_input?.value)
+  };
+}
+
+async function runChannelDefaultsCommand(client, cmd, { channelId, userId, triggerId, reply }) {
+  const current = getChannelDefaults(channelId) || {};
+  if (cmd.action === 'help') return await reply(buildChannelDefaultsHelpText());
+  if (cmd.action === 'show') return await reply(buildChannelDefaultsText(current));
+  if (!(await isChannelDefaultsAdmin(client, userId))) {
+    return await reply('Only channel defaults admins can change them (CHANNEL_DEFAULTS_ADMIN_USERS / _USERGROUPS).');
+  }
+  if (cmd.action === 'edit') {
+    if (!triggerId) return await reply('Use `/channeldefaults edit` to open the editor.');
+    await Promise.race([
+      Promise.all([ensureLanguageIndexLoaded(), facetKB?.ensureLoaded ? facetKB.ensureLoaded() : null]),
+      sleep(1500)
+    ]);
+    await client.views.open({ trigger_id: triggerId, view: buildChannelDefaultsModalView({ channelId, defaults: current }) });
+    return;
+  }
+  if (cmd.action === 'clear') {
+    let next = {};
+    if (cmd.key) {
+      const res = parseChannelDefaultValue(cmd.key, '');
+      if (res.error) return await reply(res.error);
+      next = { ...current, [res.key]: res.value };
+    }
+    return await reply(buildChannelDefaultsText(saveChannelDefaults(channelId, next, userId)));
+  }
+  await ensureLanguageIndexLoaded();
+  const next = { ...current, ...cmd.changes };
+  // A new language invalidates an accent/locale picked for the old one.
+  if (cmd.changes.iso2 !== undefined && cmd.changes.iso2 !== current.iso2) {
+    if (cmd.changes.accent === undefined) next.accent = null;
+    if (cmd.changes.locale === undefined) next.locale = null;
+  }
+  const saved = saveChannelDefaults(channelId, next, userId);
+  const errors = cmd.errors.length ? `\n⚠️ Ignored: ${cmd.errors.join('; ')}` : '';
+  return await reply(`${buildChannelDefaultsText(saved)}${errors}`);
+}
+
+app.command('/channeldefaults', async ({ command, ack, respond, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    await runChannelDefaultsCommand(client, parseChannelDefaultsCommand(command.text), {
+      channelId: command.channel_id,
+      userId: command.user_id,
+      triggerId: command.trigger_id,
+      reply: (text) => respond({ response_type: 'ephemeral', text })
+    });
+  } catch (err) {
+    console.error('/channeldefaults error', err);
+  }
+});
+
+app.action('channel_defaults_language', async ({ ack, body, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const view = body.view;
+    if (!view) return;
+    let meta = {};
+    try {
+      meta = JSON.parse(view.private_metadata || '{}');
+    } catch (_) {}
+    // Keep what was already picked in the other fields while the accent list follows the language.
+    const state = readChannelDefaultsModalState(view.state?.values);
+    const picked = body.actions?.[0]?.selected_option?.value;
+    await client.views.update({
+      view_id: view.id,
+      hash: view.hash,
+      view: buildChannelDefaultsModalView({
+        channelId: meta.channelId,
+        defaults: { ...state, accent: null, locale: null },
+        iso2: picked && picked !== 'any' ? picked : null
+      })
+    });
+  } catch (err) {
+    console.error('channel_defaults_language error', err);
+  }
+});
+
+app.view(CHANNEL_DEFAULTS_CALLBACK_ID, async ({ ack, body, view, client }) => {
+  // Ack first: the admin check may list usergroup members, which can outlast Slack's 3 s deadline.
+  await ack();
+  const userId = body.user?.id;
+  try {
+    let meta = {};
+    try {
+      meta = JSON.parse(view?.private_metadata || '{}');
+    } catch (_) {}
+    if (!meta.channelId) return;
+    // Admin membership can change while the modal is open: say why nothing was saved.
+    if (!(await isChannelDefaultsAdmin(client, userId))) {
+      await client.chat.postEphemeral({
+        channel: meta.channelId,
+        user: userId,
+        text: 'Only channel defaults admins can change them (CHANNEL_DEFAULTS_ADMIN_USERS / _USERGROUPS). Nothing was saved.'
+      });
+      return;
+    }
+    const saved = saveChannelDefaults(meta.channelId, readChannelDefaultsModalState(view?.state?.values), userId);
+    await client.chat.postEphemeral({ channel: meta.channelId, user: userId, text: buildChannelDefaultsText(saved) });
+  } catch (err) {
+    console.error('channel defaults modal submit error', err);
+  }
+});
+
+// -------------------------------------------------------------
+// Team shortlists (⭐ Save) – named lists that outlive threads
+// -------------------------------------------------------------
+// A shortlist belongs to a channel or to the whole workspace. Entries keep the voice_id plus the
+// metadata snapshot seen when the voice was saved (library voices can change or disappear later).
+// Managed with `/shortlist ...` or by mentioning the bot with "shortlist ...".
+const SHORTLIST_SAVE_CALLBACK_ID = 'shortlist_save_modal';
+const SHORTLIST_MAX_ENTRIES = 200;
+
+const shortlistStore = createStore('shortlists', process.env.SHORTLIST_STORE || process.env.SESSION_STORE || 'file');
+
+function shortlistSlug(name) {
+  return (name || '')
+    .toString()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+}
+
+// Store keys: "channel:<channelId>:<slug>" / "workspace:<teamId>:<slug>".
+function getShortlistScopeRef(scope, { channelId, teamId }) {
+  return scope === 'workspace' ? `workspace:${teamId || 'default'}` : `channel:${channelId}`;
+}
+
+function listShortlists(ctx) {
+  const refs = [getShortlistScopeRef('channel', ctx), getShortlistScopeRef('workspace', ctx)];
+  const out = [];
+  try {
+    for (const [key, list] of shortlistStore.entries()) {
+      if (list && refs.some((r) => key.startsWith(`${r}:`))) out.push({ key, ...list });
+    }
+  } catch (e) {
+    console.error('[shortlists] list failed', e?.message || e);
+  }
+  out.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  return out;
+}
+
+// Channel lists shadow workspace lists with the same name.
+function findShortlist(ctx, name) {
+  const slug = shortlistSlug(name);
+  if (!slug) return null;
+  for (const scope of ['channel', 'workspace']) {
+    const key = `${getShortlistScopeRef(scope, ctx)}:${slug}`;
+    const list = shortlistStore.get(key);
+    if (list) return { key, ...list };
+  }
+  return null;
+}
+
+function snapshotVoiceForShortlist(voice, session) {
+  const v = voice || {};
+  const labels = v.labels && typeof v.labels === 'object' ? v.labels : {};
+  const score = session?.ranking ? session.ranking[v.voice_id] : null;
+  return {
+    name: v.name || null,
+    gender: v.gender || labels.gender || null,
+    age: v.age || labels.age || null,
+    accent: v.accent || labels.accent || null,
+    locale: v.locale || null,
+    language: v.language || labels.language || null,
+    verified_languages: (Array.isArray(v.verified_languages) ? v.verified_languages : []).map((l) => ({
+      language: l?.language || null,
+      accent: l?.accent || null,
+      locale: l?.locale || null
+    })),
+    category: v.category || null,
+    high_quality: isHighQuality(v),
+    public_owner_id: v.public_owner_id || null,
+    preview_url: v.preview_url || null,
+    description: (v.description || '').toString().slice(0, 500) || null,
+    usage_character_count_7d: v.usage_character_count_7d ?? null,
+    usage_character_count_1y: v.usage_character_count_1y ?? null,
+    score: typeof score === 'number' && Number.isFinite(score) ? score : null,
+    matched_keywords: Array.isArray(v._matched_keywords) ? v._matched_keywords.slice(0, 12) : [],
+    query: session?.originalQuery || null
+  };
+}
+
+// Returns { list, added } – saving a voice that is already on the list keeps the original snapshot.
+function saveVoiceToShortlist(ctx, { name, scope, voiceId, snapshot, userId, threadTs }) {
+  const existing = findShortlist(ctx, name);
+  const now = Date.now();
+  const key = existing?.key || `${getShortlistScopeRef(scope, ctx)}:${shortlistSlug(name)}`;
+  const list = existing
+    ? { ...existing }
+    : {
+        name: name.toString().trim().slice(0, 80),
+        scope: scope === 'workspace' ? 'workspace' : 'channel',
+        channelId: ctx.channelId || null,
+        teamId: ctx.teamId || null,
+        createdBy: userId || null,
+        createdAt: now,
+        entries: []
+      };
+  delete list.key;
+  list.entries = Array.isArray(list.entries) ? list.entries.slice() : [];
+  if (list.entries.some((e) => e?.voice_id === voiceId)) return { list, added: false };
+  if (list.entries.length >= SHORTLIST_MAX_ENTRIES) return { list, added: false, full: true };
+  list.entries.push({
+    voice_id: voiceId,
+    savedBy: userId || null,
+    savedAt: now,
+    channelId: ctx.channelId || null,
+    threadTs: threadTs || null,
+    snapshot: snapshot || {}
+  });
+  list.updatedAt = now;
+  shortlistStore.set(key, list);
+  return { list, added: true };
+}
+
+function removeVoicesFromShortlist(list, voiceIds) {
+  const drop = new Set(voiceIds);
+  const before = list.entries.length;
+  const { key, ...rest } = list;
+  rest.entries = list.entries.filter((e) => !drop.has(e?.voice_id));
+  rest.updatedAt = Date.now();
+  shortlistStore.set(key, rest);
+  return before - rest.entries.length;
+}
+
+// "/shortlist" text (or a mention starting with "shortlist"):
+//   list | show <name> | remove <voice_id...> from <name> | share <name> [#channel] | export <name> [csv|json|md]
+function parseShortlistCommand(text) {
+  const raw = (text || '').toString().trim();
+  const m = raw.match(/^(\w+)\s*([\s\S]*)$/);
+  const verb = (m ? m[1] : '').toLowerCase();
+  let rest = m ? m[2].trim() : '';
+  if (!raw || verb === 'list' || verb === 'lists') return { action: 'list' };
+  if (verb === 'help') return { action: 'help' };
+  if (verb === 'show' || verb === 'view' || verb === 'open') return { action: 'show', name: rest };
+  if (verb === 'remove' || verb === 'delete' || verb === 'rm') {
+    const voiceIds = rest.match(/\b[A-Za-z0-9]{18,}\b/g) || [];
+    rest = rest.replace(/\b[A-Za-z0-9]{18,}\b/g, ' ').replace(/^\s*from\b/i, '').replace(/\s+from\s*$/i, '');
+    return { action: 'remove', name: rest.replace(/\s+/g, ' ').trim(), voiceIds };
+  }
+  if (verb === 'share') {
+    const ch = rest.match(/<#([A-Z0-9]+)(?:\|[^>]*)?>/);
+    rest = rest.replace(/<#[^>]+>/g, ' ').replace(/\s+to\s*$/i, '');
+    return { action: 'share', name: rest.replace(/\s+/g, ' ').trim(), channel: ch ? ch[1] : null };
+  }
+  if (verb === 'export') {
+    const fm = rest.match(/\s+(?:as\s+)?(csv|json|md|markdown)$/i);
+    const format = fm ? (fm[1].toLowerCase() === 'markdown' ? 'md' : fm[1].toLowerCase()) : 'csv';
+    if (fm) rest = rest.slice(0, fm.index);
+    return { action: 'export', name: rest.trim(), format };
+  }
+  // Not a shortlist verb ("shortlist 5 calm British narrators" is a search).
+  return null;
+}
+
+function buildShortlistHelpText() {
+  return [
+    '*Shortlists*',
+    'Save voices with the ⭐ Save button on any result card, then:',
+    '• `shortlist list` – shortlists for this channel and the workspace',
+    '• `shortlist show <name>` – voices on a shortlist',
+    '• `shortlist remove <voice_id> from <name>` – take voices off a shortlist',
+    '• `shortlist share <name> [#channel]` – post a shortlist for everyone',
+    '• `shortlist export <name> [csv|json|md]` – upload a shortlist as a file'
+  ].join('\n');
+}
+
+function buildShortlistsOverviewText(lists) {
+  if (!lists.length) return `No shortlists yet.\n\n${buildShortlistHelpText()}`;
+  const lines = ['*Shortlists*'];
+  for (const l of lists) {
+    const where = l.scope === 'workspace' ? 'workspace' : `<#${l.channelId}>`;
+    const n = Array.isArray(l.entries) ? l.entries.length : 0;
+    lines.push(`• *${l.name}* – ${n} voice${n === 1 ? '' : 's'} (${where})`);
+  }
+  return lines.join('\n');
+}
+
+function buildShortlistText(list) {
+  const entries = Array.isArray(list?.entries) ? list.entries : [];
+  const where = list.scope === 'workspace' ? 'workspace' : `<#${list.channelId}>`;
+  const lines = [`*${list.name}* (${where}, ${entries.length} voice${entries.length === 1 ? '' : 's'})`];
+  if (!entries.length) lines.push('_Empty – use ⭐ Save on a result card to add voices._');
+  entries.forEach((e, i) => {
+    const s = e.snapshot || {};
+    const url = `https://elevenlabs.io/app/voice-library?search=${encodeURIComponent(e.voice_id)}`;
+    const chips = [s.gender, s.age, s.accent, s.locale || s.language].filter(Boolean).join(' · ');
+    const hq = s.high_quality ? ' :star:' : '';
+    const blocked = isVoiceBlocked({ voice_id: e.voice_id, public_owner_id: s.public_owner_id }) ? ` – :no_entry: ${VOICE_POLICY_BLOCKED_TEXT}` : '';
+    const saved = e.savedBy ? ` – saved by <@${e.savedBy}> <!date^${Math.floor((e.savedAt || 0) / 1000)}^{date_short}|${new Date(e.savedAt || 0).toISOString().slice(0, 10)}>` : '';
+    lines.push(`${i + 1}. *<${url}|${s.name || e.voice_id}>*${hq} \`${e.voice_id}\`${chips ? ` – ${chips}` : ''}${saved}${blocked}`);
+  });
+  return lines.join('\n');
+}
+
+// Runs a parsed shortlist command. reply(text) answers the caller; share/export post publicly.
+async function runShortlistCommand(client, cmd, { ctx, threadTs, uiLanguage, reply }) {
+  const say = async (text) => reply(await translateForUserLanguage(text, uiLanguage));
+  if (cmd.action === 'help') return say(buildShortlistHelpText());
+  if (cmd.action === 'list') return say(buildShortlistsOverviewText(listShortlists(ctx)));
+  if (!cmd.name) return say(buildShortlistHelpText());
+
+  const list = findShortlist(ctx, cmd.name);
+  if (!list) {
+    const names = listShortlists(ctx).map((l) => l.name);
+    const sugg = suggestClosest(cmd.name.toLowerCase(), names.map((n) => n.toLowerCase()), { maxDist: 3, maxSuggestions: 1 });
+    const closest = sugg && sugg.length ? names.find((n) => n.toLowerCase() === sugg[0]) : null;
+    return say(`No shortlist called "${cmd.name}" here.${closest ? ` Did you mean "${closest}"?` : ''}`);
+  }
+
+  if (cmd.action === 'show') return say(buildShortlistText(list));
+
+  if (cmd.action === 'remove') {
+    if (!cmd.voiceIds.length) return say('Tell me which voice_id(s) to remove, e.g. `shortlist remove <voice_id> from <name>`.');
+    const removed = removeVoicesFromShortlist(list, cmd.voiceIds);
+    return say(removed ? `Removed ${removed} voice${removed === 1 ? '' : 's'} from *${list.name}*.` : `None of those voices are on *${list.name}*.`);
+  }
+
+  if (cmd.action === 'share') {
+    const channel = cmd.channel || ctx.channelId;
+    const text = await translateForUserLanguage(buildShortlistText(list), uiLanguage);
+    await client.chat.postMessage({ channel, text, blocks: buildBlocksFromText(text) || undefined });
+    if (cmd.channel && cmd.channel !== ctx.channelId) return say(`Shared *${list.name}* in <#${cmd.channel}>.`);
+    return null;
+  }
+
+  if (cmd.action === 'export') {
+    const rows = buildShortlistExportRows(list);
+    if (!rows.length) return say(`*${list.name}* is empty.`);
+    await uploadExportFile(client, {
+      channel: ctx.channelId,
+      threadTs,
+      rows,
+      format: cmd.format,
+      baseName: list.name,
+      meta: { title: list.name, shortlist: list.name, scope: list.scope }
+    });
+    return null;
+  }
+  return say(buildShortlistHelpText());
+}
+
+function buildShortlistSaveModalView({ ctx, voiceId, voiceName, threadTs }) {
+  const lists = listShortlists(ctx).slice(0, 100);
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `Save *${voiceName || voiceId}* \`${voiceId}\` to a shortlist.` }
+    }
+  ];
+  if (lists.length) {
+    blocks.push({
+      type: 'input',
+      block_id: 'existing',
+      optional: true,
+      label: { type: 'plain_text', text: 'Existing shortlist' },
+      element: {
+        type: 'static_select',
+        action_id: 'existing_select',
+        placeholder: { type: 'plain_text', text: 'Pick a shortlist' },
+        options: lists.map((l) => modalOption(`${l.name}${l.scope === 'workspace' ? ' (workspace)' : ''}`, l.key))
+      }
+    });
+  }
+  blocks.push(
+    {
+      type: 'input',
+      block_id: 'new_name',
+      optional: lists.length > 0,
+      label: { type: 'plain_text', text: lists.length ? '…or a new shortlist' : 'New shortlist' },
+      element: {
+        type: 'plain_text_input',
+        action_id: 'new_name_input',
+        max_length: 80,
+        placeholder: { type: 'plain_text', text: 'e.g. Audiobook casting Q4' }
+      }
+    },
+    {
+      type: 'input',
+      block_id: 'scope',
+      label: { type: 'plain_text', text: 'New shortlist is shared with' },
+      element: {
+        type: 'radio_buttons',
+        action_id: 'scope_radio',
+        initial_option: modalOption('This channel', 'channel'),
+        options: [modalOption('This channel', 'channel'), modalOption('The whole workspace', 'workspace')]
+      }
+    }
+  );
+  return {
+    type: 'modal',
+    callback_id: SHORTLIST_SAVE_CALLBACK_ID,
+    private_metadata: JSON.stringify({ ...ctx, voiceId, threadTs }),
+    title: { type: 'plain_text', text: 'Save to shortlist' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
+app.action(/^save_voice:/, async ({ ack, body, action, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const voiceId = (action?.value || String(action?.action_id || '').split(':')[1] || '').trim();
+    const { channel: channelId, threadTs } = resolveActionChannelThread(body);
+    if (!voiceId || !channelId) return;
+    const voice = findSessionVoice(getSession(threadTs), voiceId);
+    if (isVoiceBlocked(voice || voiceId)) {
+      try {
+        await client.chat.postEphemeral({
+          channel: channelId,
+          user: body.user?.id,
+          thread_ts: threadTs || undefined,
+          text: `*${voice?.name || voiceId}* is ${VOICE_POLICY_BLOCKED_TEXT} and can't be saved to a shortlist.`
+        });
+      } catch (_) {}
+      return;
+    }
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildShortlistSaveModalView({
+        ctx: { channelId, teamId: body.team?.id || body.user?.team_id || null },
+        voiceId,
+        voiceName: voice?.name,
+        threadTs
+      })
+    });
+  } catch (err) {
+    console.error('save_voice error', err);
+  }
+});
+
+app.view(SHORTLIST_SAVE_CALLBACK_ID, async ({ ack, body, view, client }) => {
+  let meta = {};
+  try {
+    meta = JSON.parse(view?.private_metadata || '{}');
+  } catch (_) {}
+  const values = view?.state?.values || {};
+  const existingKey = values.existing?.existing_select?.selected_option?.value || null;
+  const newName = (values.new_name?.new_name_input?.value || '').trim();
+  const scope = values.scope?.scope_radio?.selected_option?.value || 'channel';
+  if (!existingKey && !shortlistSlug(newName)) {
+    await ack({ response_action: 'errors', errors: { new_name: 'Pick a shortlist or give a new one a name.' } });
+    return;
+  }
+  await ack();
+  const userId = body.user?.id;
+  try {
+    const ctx = { channelId: meta.channelId, teamId: meta.teamId };
+    const session = getSession(meta.threadTs);
+    const voice = findSessionVoice(session, meta.voiceId) || { voice_id: meta.voiceId };
+    const name = newName || shortlistStore.get(existingKey)?.name;
+    if (!name) return;
+    if (isVoiceBlocked(voice)) {
+      await client.chat.postEphemeral({
+        channel: meta.channelId,
+        user: userId,
+        thread_ts: meta.threadTs || undefined,
+        text: `*${voice.name || meta.voiceId}* is ${VOICE_POLICY_BLOCKED_TEXT} and can't be saved to a shortlist.`
+      });
+      return;
+    }
+    const { list, added, full } = saveVoiceToShortlist(ctx, {
+      name,
+      scope,
+      voiceId: meta.voiceId,
+      snapshot: snapshotVoiceForShortlist(voice, session),
+      userId,
+      threadTs: meta.threadTs
+    });
+    const label = voice.name || meta.voiceId;
+    let text = added
+      ? `⭐ Saved *${label}* to *${list.name}* (${list.entries.length} voice${list.entries.length === 1 ? '' : 's'}).`
+      : full
+        ? `*${list.name}* is full (${SHORTLIST_MAX_ENTRIES} voices).`
+        : `*${label}* is already on *${list.name}*.`;
+    text = await translateForUserLanguage(text, session?.uiLanguage);
+    await client.chat.postEphemeral({
+      channel: meta.channelId,
+      user: userId,
+      thread_ts: meta.threadTs || undefined,
+      text
+    });
+  } catch (err) {
+    console.error('shortlist save error', err);
+  }
+});
+
+app.command('/shortlist', async ({ command, ack, respond, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const ctx = { channelId: command.channel_id, teamId: command.team_id };
+    // `/shortlist <name>` is unambiguous here, so a bare name shows that shortlist.
+    const cmd = parseShortlistCommand(command.text) || { action: 'show', name: (command.text || '').trim() };
+    await runShortlistCommand(client, cmd, {
+      ctx,
+      uiLanguage: null,
+      reply: (text) => respond({ response_type: 'ephemeral', text, blocks: buildBlocksFromText(text) || undefined })
+    });
+  } catch (err) {
+    console.error('/shortlist error', err);
+  }
+});
+
+// -------------------------------------------------------------
+// Export (CSV / JSON / Markdown) – thread results or a saved shortlist
+// -------------------------------------------------------------
+// Rows are built from the session's ranked pool (all voices passing the current filters, not just
+// the visible page) or from shortlist snapshots, and uploaded into the thread as a file.
+const EXPORT_FORMATS = {
+  csv: { ext: 'csv', label: 'CSV' },
+  json: { ext: 'json', label: 'JSON' },
+  md: { ext: 'md', label: 'Markdown' }
+};
+
+const EXPORT_COLUMNS = [
+  'rank',
+  'voice_id',
+  'name',
+  'library_url',
+  'gender',
+  'age',
+  'accent',
+  'locale',
+  'language',
+  'verified_languages',
+  'category',
+  'high_quality',
+  'usage_character_count_7d',
+  'usage_character_count_1y',
+  'score',
+  'matched_keywords'
+];
+
+// "export", "export json", "download as markdown", "eksportuj csv", "exportar json" -> format or null
+function detectExportIntent(lower) {
+  const text = (lower || '').toString().toLowerCase();
+  if (!/\b(export|eksport\w*|exportar|download|pobierz|descargar)\b/.test(text)) return null;
+  if (/\bjson\b/.test(text)) return 'json';
+  if (/\b(md|markdown)\b/.test(text)) return 'md';
+  if (/\b(csv|excel|spreadsheet|sheets?|arkusz)\b/.test(text)) return 'csv';
+  return /\bexport|eksport|exportar/.test(text) ? 'csv' : null;
+}
+
+function voiceToExportRow(voice, extra = {}) {
+  const v = voice || {};
+  const labels = v.labels && typeof v.labels === 'object' ? v.labels : {};
+  return {
+    rank: extra.rank ?? null,
+    voice_id: v.voice_id,
+    name: v.name || null,
+    library_url: `https://elevenlabs.io/app/voice-library?search=${encodeURIComponent(v.voice_id || '')}`,
+    gender: v.gender || labels.gender || null,
+    age: v.age || labels.age || null,
+    accent: v.accent || labels.accent || null,
+    locale: v.locale || null,
+    language: v.language || labels.language || null,
+    verified_languages: (Array.isArray(v.verified_languages) ? v.verified_languages : [])
+      .filter(Boolean)
+      .map((l) => ({ language: l.language || null, accent: l.accent || null, locale: l.locale || null })),
+    category: v.category || null,
+    high_quality: typeof v.high_quality === 'boolean' ? v.high_quality : isHighQuality(v),
+    usage_character_count_7d: v.usage_character_count_7d ?? null,
+    usage_character_count_1y: v.usage_character_count_1y ?? null,
+    score: typeof extra.score === 'number' && Number.isFinite(extra.score) ? Number(extra.score.toFixed(4)) : null,
+    matched_keywords: Array.isArray(extra.matched) ? extra.matched.filter(Boolean) : []
+  };
+}
+
+function buildSessionExportRows(session) {
+  const ranking = session?.ranking || {};
+  return getResultPool(session).map((v, i) =>
+    voiceToExportRow(v, { rank: i + 1, score: ranking[v.voice_id], matched: v._matched_keywords })
+  );
+}
+
+function buildShortlistExportRows(list) {
+  const entries = Array.isArray(list?.entries) ? list.entries : [];
+  return entries.map((e, i) => {
+    const s = e.snapshot || {};
+    return voiceToExportRow({ ...s, voice_id: e.voice_id }, { rank: i + 1, score: s.score, matched: s.matched_keywords });
+  });
+}
+
+function formatVerifiedLanguagesForExport(list) {
+  return (Array.isArray(list) ? list : [])
+    .map((l) => {
+      const main = l.locale || l.language || '';
+      return l.accent ? `${main} (${l.accent})` : main;
+    })
+    .filter(Boolean)
+    .join('; ');
+}
+
+function exportCellText(row, col) {
+  const value = row[col];
+  if (col === 'verified_languages') return formatVerifiedLanguagesForExport(value);
+  if (Array.isArray(value)) return value.join('; ');
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
+
+function buildExportContent(rows, format, meta = {}) {
+  if (format === 'json') {
+    return JSON.stringify({ ...meta, exported_at: new Date().toISOString(), count: rows.length, voices: rows }, null, 2);
+  }
+  if (format === 'md') {
+    const cols = ['rank', 'name', 'voice_id', 'gender', 'age', 'accent', 'locale', 'language', 'high_quality', 'usage_character_count_1y', 'score', 'matched_keywords'];
+    const cell = (row, col) => {
+      if (col === 'name') return `[${(row.name || row.voice_id).replace(/[|\]]/g, ' ')}](${row.library_url})`;
+      if (col === 'high_quality') return row.high_quality ? 'yes' : '';
+      if (col === 'usage_character_count_1y') return row[col] == null ? '' : formatCompactNumber(row[col]);
+      return exportCellText(row, col).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    };
+    const lines = [];
+    if (meta.title) lines.push(`# ${meta.title}`, '');
+    if (meta.query) lines.push(`Brief: ${meta.query}`, '');
+    lines.push(`| ${cols.join(' | ')} |`, `| ${cols.map(() => '---').join(' | ')} |`);
+    for (const row of rows) lines.push(`| ${cols.map((c) => cell(row, c)).join(' | ')} |`);
+    return lines.join('\n') + '\n';
+  }
+  // Names and descriptions come from the public library: a leading =, +, -, @, tab or CR would run as a
+  // spreadsheet formula, so such cells get a ' prefix (plain numbers stay numbers).
+  const defuse = (s) => (/^[=+\-@\t\r]/.test(s) && !/^[-+]?\d+(\.\d+)?$/.test(s) ? `'${s}` : s);
+  const esc = (value) => {
+    const s = defuse(value);
+    return /[",\n\r\t]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const row of rows) lines.push(EXPORT_COLUMNS.map((c) => esc(exportCellText(row, c))).join(','));
+  // BOM so spreadsheet apps open the file as UTF-8.
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+async function uploadExportFile(client, { channel, threadTs, rows, format, baseName, meta }) {
+  const fmt = EXPORT_FORMATS[format] ? format : 'csv';
+  const date = new Date().toISOString().slice(0, 10);
+  const filename = `${shortlistSlug(baseName) || 'voices'}-${date}.${EXPORT_FORMATS[fmt].ext}`;
+  return await client.files.uploadV2({
+    channel_id: channel,
+    thread_ts: threadTs || undefined,
+    file: Buffer.from(buildExportContent(rows, fmt, meta), 'utf8'),
+    filename,
+    title: `${meta?.title || 'Voices'} (${EXPORT_FORMATS[fmt].label}, ${rows.length})`
+  });
+}
+
+async function exportSessionResults(client, { channel, threadTs, session, format }) {
+  const rows = buildSessionExportRows(session);
+  if (!rows.length) {
+    const noVoices = await translateForUserLanguage(getLabels().noVoices, session.uiLanguage);
+    await safePostMessage(client, { channel, thread_ts: threadTs, text: noVoices });
+    return;
+  }
+  await uploadExportFile(client, {
+    channel,
+    threadTs,
+    rows,
+    format,
+    baseName: 'voices',
+    meta: { title: 'Voice suggestions', query: session.originalQuery || null, filters: session.filters || {} }
+  });
+}
+
+app.action('export_results', async ({ ack, body, action, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const { channel, threadTs } = resolveActionChannelThread(body);
+    if (!threadTs || !channel) return;
+    const session = getSession(threadTs);
+    if (!session) return;
+    await exportSessionResults(client, { channel, threadTs, session, format: action?.selected_option?.value || 'csv' });
+  } catch (err) {
+    console.error('export_results error', err);
+  }
+});
+
+// -------------------------------------------------------------
+// Add shared voices to the workspace's ElevenLabs "My Voices"
+// -------------------------------------------------------------
+// POST /v1/voices/add/{public_owner_id}/{voice_id}. The card button (add_voice:<id>) carries a
+// Slack confirm dialog; only allowlisted users (or members of allowlisted user groups) may use it.
+//
+// Required Slack scopes:
+// - usergroups:read (only when ADD_VOICE_ALLOWED_USERGROUPS is set)
+//
+// Env:
+// - ADD_VOICE_ALLOWED_USERS=U123,U456 (Slack user ids)
+// - ADD_VOICE_ALLOWED_USERGROUPS=S123 (Slack user group ids)
+//   With neither set the button is not shown.
+// - ELEVENLABS_API_BASE_URL=http://localhost:8787 (optional; e.g. a local mock of the API)
+//
+// Manual test (mock):
+// - Run a local server answering POST /v1/voices/add/:owner/:voice with {"voice_id":"..."}
+// - Start the bot with ELEVENLABS_API_BASE_URL pointing at it and click "Add to My Voices"
+const ADD_VOICE_ALLOWED_USERS = new Set(parseEnvIdList(process.env.ADD_VOICE_ALLOWED_USERS));
+const ADD_VOICE_ALLOWED_USERGROUPS = parseEnvIdList(process.env.ADD_VOICE_ALLOWED_USERGROUPS);
+const USERGROUP_MEMBERS_TTL_MS = 10 * 60 * 1000;
+const usergroupMembersCache = new Map(); // usergroup id -> { at:number, users:Set<string> }
+const addVoiceInFlight = new Set(); // `${threadTs}:${voiceId}`
+
+function parseEnvIdList(raw) {
+  return (raw || '')
+    .toString()
+    .split(/[\s,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function isAddVoiceEnabled() {
+  return ADD_VOICE_ALLOWED_USERS.size > 0 || ADD_VOICE_ALLOWED_USERGROUPS.length > 0;
+}
+
+async function isUserAllowedToAddVoices(client, userId) {
+  return await isUserInAllowlist(client, userId, {
+    users: ADD_VOICE_ALLOWED_USERS,
+    usergroups: ADD_VOICE_ALLOWED_USERGROUPS,
+    context: 'add_voice'
+  });
+}
+
+// Shared by the "Add to My Voices" allowlist and the voice policy admins.
+async function isUserInAllowlist(client, userId, { users, usergroups, context }) {
+  if (!userId) return false;
+  if (users.has(userId)) return true;
+  for (const usergroup of usergroups) {
+    let hit = usergroupMembersCache.get(usergroup);
+    if (!hit || Date.now() - hit.at > USERGROUP_MEMBERS_TTL_MS) {
+      try {
+        const res = await client.usergroups.users.list({ usergroup });
+        hit = { at: Date.now(), users: new Set(Array.isArray(res?.users) ? res.users : []) };
+        usergroupMembersCache.set(usergroup, hit);
+      } catch (e) {
+        console.error(`[${context}] usergroups.users.list failed for ${usergroup}:`, e?.data?.error || e?.message || e);
+        continue;
+      }
+    }
+    if (hit.users.has(userId)) return true;
+  }
+  return false;
+}
+
+// Adding is not idempotent, so the POST is sent once. When it fails without an answer (timeout, dropped
+// connection) the voice may still have been added – look it up in My Voices before reporting a failure.
+async function addSharedVoiceToLibrary({ publicOwnerId, voiceId, name }) {
+  const url = `${ELEVENLABS_API_BASE_URL}/v1/voices/add/${encodeURIComponent(publicOwnerId)}/${encodeURIComponent(voiceId)}`;
+  const newName = (name || voiceId).toString().slice(0, 100);
+  try {
+    const res = await httpPostWithRetry(
+      url,
+      { new_name: newName },
+      {
+        headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY, 'Content-Type': 'application/json' },
+        timeout: 15000
+      },
+      { attempts: 1 }
+    );
+    return res.data || {};
+  } catch (err) {
+    if (err?.response) throw err;
+    let existing = null;
+    try {
+      existing = await findLibraryVoiceForSharedVoice(voiceId);
+    } catch (e) {
+      safeLogAxiosError('findLibraryVoiceForSharedVoice', e);
+    }
+    if (existing) return { voice_id: existing.voice_id };
+    throw err;
+  }
+}
+
+async function findLibraryVoiceForSharedVoice(voiceId) {
+  const res = await httpGetWithRetry(`${ELEVENLABS_API_BASE_URL}/v1/voices`, {
+    headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY },
+    timeout: 15000
+  });
+  const voices = Array.isArray(res.data?.voices) ? res.data.voices : [];
+  return voices.find((v) => v?.voice_id === voiceId || v?.sharing?.original_voice_id === voiceId) || null;
+}
+
+function describeElevenLabsError(err) {
+  const data = err?.response?.data;
+  const detail = data?.detail;
+  const msg =
+    (detail && typeof detail === 'object' ? detail.message || detail.status : detail) ||
+    data?.message ||
+    err?.message ||
+    'unknown error';
+  const status = err?.response?.status;
+  return status ? `${status} – ${msg}` : String(msg);
+}
+
+app.action(/^add_voice:/, async ({ ack, body, action, client }) => {
+  try { await ack(); } catch (_) {}
+  const voiceId = (action?.value || String(action?.action_id || '').split(':')[1] || '').trim();
+  const { channel, threadTs } = resolveActionChannelThread(body);
+  const userId = body.user?.id;
+  if (!voiceId || !channel || !threadTs) return;
+  const session = getSession(threadTs);
+  const uiLang = session?.uiLanguage;
+
+  if (!(await isUserAllowedToAddVoices(client, userId))) {
+    try {
+      const text = await translateForUserLanguage(
+        "Sorry, you're not on the list of people who can add voices to our ElevenLabs account.",
+        uiLang
+      );
+      await client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text });
+    } catch (_) {}
+    return;
+  }
+
+  const flightKey = `${threadTs}:${voiceId}`;
+  if (addVoiceInFlight.has(flightKey)) return;
+  addVoiceInFlight.add(flightKey);
+  try {
+    const previous = session?.addedVoices?.[voiceId];
+    if (previous) {
+      const text = await translateForUserLanguage(
+        `This voice was already added to My Voices by <@${previous.addedBy}>.`,
+        uiLang
+      );
+      await client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text });
+      return;
+    }
+
+    let voice = findSessionVoice(session, voiceId);
+    if (!voice?.public_owner_id) {
+      try {
+        voice = (await fetchSharedVoiceByIdOrSearch(voiceId)) || voice;
+      } catch (e) {
+        safeLogAxiosError('fetchSharedVoiceByIdOrSearch', e);
+      }
+    }
+    const name = voice?.name || voiceId;
+
+    let text;
+    if (isVoiceBlocked(voice || voiceId)) {
+      text = `:no_entry: *${name}* is ${VOICE_POLICY_BLOCKED_TEXT} and can't be added to My Voices.`;
+    } else if (!voice?.public_owner_id) {
+      text = `:warning: Couldn't add *${name}* to My Voices: the voice's owner id is unknown (is it still shared in the Voice Library?).`;
+    } else {
+      try {
+        const out = await addSharedVoiceToLibrary({ publicOwnerId: voice.public_owner_id, voiceId, name });
+        if (session) {
+          session.addedVoices = session.addedVoices || {};
+          session.addedVoices[voiceId] = { addedBy: userId, addedAt: Date.now(), libraryVoiceId: out.voice_id || null };
+          saveSession(threadTs, session);
+        }
+        text = `:white_check_mark: <@${userId}> added *${name}* to My Voices${out.voice_id ? ` (voice_id \`${out.voice_id}\`)` : ''}.`;
+      } catch (e) {
+        safeLogAxiosError('addSharedVoiceToLibrary', e);
+        text = `:warning: Couldn't add *${name}* to My Voices: ${describeElevenLabsError(e)}`;
+      }
+    }
+    text = await translateForUserLanguage(text, uiLang);
+    await safePostMessage(client, { channel, thread_ts: threadTs, text });
+  } catch (err) {
+    console.error('add_voice error', err);
+  } finally {
+    addVoiceInFlight.delete(flightKey);
+  }
+});
+
+// -------------------------------------------------------------
+// Custom-script TTS auditions ("audition: <script>" in a result thread)
+// -------------------------------------------------------------
+// Synthesizes the script with the thread's top-ranked voices and uploads one labeled clip per voice.
+// Clips are cached on disk by (voice_id, script hash, model), so re-runs cost nothing; only clips that
+// still need synthesis count against the per-request character budget.
+//
+// Env:
+// - AUDITION_MAX_VOICES (default 3) – voices per request ("audition top 5: ..." is capped by this)
+// - AUDITION_CHAR_BUDGET (default 1500) – characters sent to TTS per request
+// - AUDITION_MODEL_ID (default eleven_multilingual_v2)
+// - AUDITION_CACHE_TTL_MS (default 30 days)
+const AUDITION_MAX_VOICES = Math.max(1, Math.min(10, readEnvNumber('AUDITION_MAX_VOICES', 3)));
+const AUDITION_CHAR_BUDGET = Math.max(50, readEnvNumber('AUDITION_CHAR_BUDGET', 1500));
+const AUDITION_MODEL_ID = (process.env.AUDITION_MODEL_ID || 'eleven_multilingual_v2').trim();
+const AUDITION_CACHE_TTL_MS = readEnvNumber('AUDITION_CACHE_TTL_MS', 30 * 24 * 60 * 60 * 1000);
+const AUDITION_CACHE_DIR = path.join(DATA_DIR, 'audition-cache');
+const auditionsInFlight = new Set(); // threadTs
+
+// "audition: <script>", "audition top 5: <script>", "przesłuchanie: <script>" -> { script, count } or null
+function parseAuditionRequest(text) {
+  const m = (text || '')
+    .toString()
+    .trim()
+    .match(/^(?:audition|przes[łl]uchanie|audici[óo]n)(?:\s+(?:top\s+)?(\d{1,2}))?\s*:\s*([\s\S]+)$/i);
+  if (!m) return null;
+  const script = m[2].trim();
+  if (!script) return null;
+  return { script, count: m[1] ? Number(m[1]) : null };
+}
+
+function getAuditionCacheKey(voiceId, script, modelId) {
+  const scriptHash = crypto.createHash('sha256').update(script).digest('hex');
+  return crypto.createHash('sha256').update(`${voiceId}|${scriptHash}|${modelId}`).digest('hex');
+}
+
+// A hit refreshes the file's mtime, so pruneAuditionCache only drops clips nobody asked for lately.
+function readAuditionCache(key) {
+  const file = path.join(AUDITION_CACHE_DIR, `${key}.mp3`);
+  let buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch (_) {
+    return null;
+  }
+  try {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+  } catch (_) {}
+  return buffer;
+}
+
+function writeAuditionCache(key, buffer) {
+  try {
+    fs.mkdirSync(AUDITION_CACHE_DIR, { recursive: true });
+    const file = path.join(AUDITION_CACHE_DIR, `${key}.mp3`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, buffer);
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.error('[audition] cache write failed:', e?.message || e);
+  }
+}
+
+function pruneAuditionCache() {
+  let removed = 0;
+  try {
+    const now = Date.now();
+    for (const f of fs.readdirSync(AUDITION_CACHE_DIR)) {
+      const file = path.join(AUDITION_CACHE_DIR, f);
+      try {
+        if (now - fs.statSync(file).mtimeMs > AUDITION_CACHE_TTL_MS) {
+          fs.unlinkSync(file);
+          removed++;
+        }
+      } catch (_) {}
+    }
+  } catch (_) {}
+  return removed;
+}
+
+async function synthesizeSpeech(voiceId, text, modelId) {
+  const url = `${ELEVENLABS_API_BASE_URL}/v1/text-to-speech/${encodeURIComponent(voiceId)}?output_format=mp3_44100_128`;
+  const res = await httpPostWithRetry(
+    url,
+    { text, model_id: modelId },
+    {
+      headers: {
+        'xi-api-key': process.env.ELEVENLABS_API_KEY,
+        'Content-Type': 'application/json',
+        Accept: 'audio/mpeg'
+      },
+      responseType: 'arraybuffer',
+      timeout: 60000
+    },
+    // TTS is billed per character: a retried timeout or 5xx could be charged again, outside the budget.
+    { attempts: 1 }
+  );
+  return Buffer.from(res.data);
+}
+
+// Picks the voices for one request: top of the ranked pool, capped by AUDITION_MAX_VOICES and by how
+// many uncached clips fit into the character budget. Returns { items, skippedForBudget }.
+function planAuditions(pool, script, count, modelId) {
+  const wanted = Math.min(AUDITION_MAX_VOICES, count || AUDITION_MAX_VOICES);
+  const items = [];
+  let charsLeft = AUDITION_CHAR_BUDGET;
+  let skippedForBudget = 0;
+  pool.slice(0, wanted).forEach((voice, idx) => {
+    const cacheKey = getAuditionCacheKey(voice.voice_id, script, modelId);
+    const cached = readAuditionCache(cacheKey);
+    if (!cached && script.length > charsLeft) {
+      skippedForBudget++;
+      return;
+    }
+    if (!cached) charsLeft -= script.length;
+    items.push({ voice, rank: idx + 1, cacheKey, cached });
+  });
+  return { items, skippedForBudget };
+}
+
+async function runAuditions(client, { channel, threadTs, session, request }) {
+  const uiLang = session.uiLanguage;
+  const say = async (text) =>
+    safePostMessage(client, { channel, thread_ts: threadTs, text: await translateForUserLanguage(text, uiLang) });
+
+  if (request.script.length > AUDITION_CHAR_BUDGET) {
+    await say(`That script is ${request.script.length} characters; the audition budget is ${AUDITION_CHAR_BUDGET} per request. Please shorten it.`);
+    return;
+  }
+  // The block list may have changed since the search.
+  const pool = getResultPool(session).filter((v) => !isVoiceBlocked(v));
+  if (!pool.length) {
+    await say(getLabels().noVoices);
+    return;
+  }
+  if (auditionsInFlight.has(threadTs)) {
+    await say('Auditions are already being generated in this thread – please wait for them to finish.');
+    return;
+  }
+
+  auditionsInFlight.add(threadTs);
+  try {
+    const modelId = AUDITION_MODEL_ID;
+    const { items, skippedForBudget } = planAuditions(pool, request.script, request.count, modelId);
+    const cachedCount = items.filter((i) => i.cached).length;
+    await say(
+      `:microphone: Generating auditions with ${items.length} voice${items.length === 1 ? '' : 's'}` +
+        (cachedCount ? ` (${cachedCount} from cache)` : '') +
+        (request.count && request.count > AUDITION_MAX_VOICES ? ` – max ${AUDITION_MAX_VOICES} per request` : '') +
+        '…'
+    );
+
+    const failures = [];
+    const excerpt = request.script.length > 40 ? `${request.script.slice(0, 40)}…` : request.script;
+    for (const item of items) {
+      const { voice, rank, cacheKey } = item;
+      try {
+        let audio = item.cached;
+        if (!audio) {
+          audio = await synthesizeSpeech(voice.voice_id, request.script, modelId);
+          writeAuditionCache(cacheKey, audio);
+        }
+        const safeName = String(voice.name || 'voice').replace(/[^A-Za-z0-9._-]+/g, '_').slice(0, 40);
+        await client.files.uploadV2({
+          channel_id: channel,
+          thread_ts: threadTs,
+          file: audio,
+          filename: `audition-${rank}-${safeName}-${voice.voice_id}.mp3`,
+          title: `#${rank} ${voice.name || voice.voice_id} – audition: "${excerpt}"`
+        });
+      } catch (e) {
+        safeLogAxiosError('audition', e);
+        failures.push(`${voice.name || voice.voice_id} (${describeElevenLabsError(e)})`);
+      }
+    }
+
+    const notes = [];
+    if (skippedForBudget) {
+      notes.push(`${skippedForBudget} voice${skippedForBudget === 1 ? '' : 's'} skipped to stay within the ${AUDITION_CHAR_BUDGET}-character budget.`);
+    }
+    if (failures.length) notes.push(`Couldn't generate: ${failures.join(', ')}.`);
+    if (notes.length) await say(notes.join('\n'));
+  } finally {
+    auditionsInFlight.delete(threadTs);
+  }
+}
+
+// -------------------------------------------------------------
+// Voice comparison ("compare <id1> <id2> [id3]" or ⚖️ Compare buttons)
+// -------------------------------------------------------------
+// Renders a metadata table for 2–4 voices plus a short LLM verdict against the thread's brief.
+// Voices are taken from the session when possible, otherwise looked up in the shared library.
+const COMPARE_MAX_VOICES = 4;
+
+// "compare A B C" / "porównaj A B" / "comparar A B" -> { voiceIds }. A bare "compare" uses the thread's
+// ⚖️ Compare picks (empty voiceIds); any other text ("compare voices for a kids podcast") is a search.
+function parseCompareRequest(text, session) {
+  const raw = (text || '').toString().trim();
+  if (!/^(compare|por[óo]wnaj|comparar?)\b/i.test(raw)) return null;
+  const ids = raw.match(/\b[A-Za-z0-9]{18,}\b/g) || [];
+  if (ids.length) return { voiceIds: Array.from(new Set(ids)).slice(0, COMPARE_MAX_VOICES) };
+  const bare = /^(compare|por[óo]wnaj|comparar?)[\s.!?]*$/i.test(raw);
+  return bare && Array.isArray(session?.compareIds) && session.compareIds.length ? { voiceIds: [] } : null;
+}
+
+function getCompareRows(voices, session) {
+  const ranking = session?.ranking || {};
+  const rows = voices.map((v) => voiceToExportRow(v, { score: ranking[v.voice_id] }));
+  const pick = (fn) => rows.map((r) => {
+    const value = fn(r);
+    return value === null || value === undefined || value === '' ? '–' : String(value);
+  });
+  const out = [
+    ['Gender', pick((r) => r.gender)],
+    ['Age', pick((r) => r.age)],
+    ['Accent', pick((r) => r.accent)],
+    ['Locale', pick((r) => r.locale)],
+    ['Language', pick((r) => r.language)],
+    ['Verified langs', pick((r) => formatVerifiedLanguagesForExport(r.verified_languages))],
+    ['High quality', pick((r) => (r.high_quality ? 'yes' : 'no'))],
+    ['Category', pick((r) => r.category)],
+    ['Usage 7d', pick((r) => (r.usage_character_count_7d == null ? null : formatCompactNumber(r.usage_character_count_7d)))],
+    ['Usage 1y', pick((r) => (r.usage_character_count_1y == null ? null : formatCompactNumber(r.usage_character_count_1y)))]
+  ];
+  if (rows.some((r) => r.score !== null)) out.push(['Score', pick((r) => (r.score === null ? null : r.score.toFixed(2)))]);
+  return out;
+}
+
+// Monospace table (attributes down, voices across); cells are truncated to keep lines short.
+function buildCompareTable(voices, session) {
+  const labelWidth = 15;
+  const colWidth = Math.min(28, Math.max(10, Math.floor(76 / Math.max(1, voices.length))));
+  const fit = (s, w) => {
+    const str = String(s);
+    return (str.length > w - 1 ? `${str.slice(0, w - 2)}…` : str).padEnd(w);
+  };
+  const lines = [fit('', labelWidth) + voices.map((v) => fit(v.name || v.voice_id, colWidth)).join('')];
+  for (const [label, values] of getCompareRows(voices, session)) {
+    lines.push(fit(label, labelWidth) + values.map((val) => fit(val, colWidth)).join(''));
+  }
+  return '```\n' + lines.map((l) => l.trimEnd()).join('\n') + '\n```';
+}
+
+async function generateCompareVerdict(brief, voices, uiLanguage) {
+  const lang = (uiLanguage || 'en').toString().toLowerCase().slice(0, 2);
+  const candidates = voices.map((v) => {
+    const r = voiceToExportRow(v);
+    return {
+      voice_id: r.voice_id,
+      name: r.name,
+      gender: r.gender,
+      age: r.age,
+      accent: r.accent,
+      locale: r.locale,
+      language: r.language,
+      verified_languages: formatVerifiedLanguagesForExport(r.verified_languages),
+      high_quality: r.high_quality,
+      usage_character_count_1y: r.usage_character_count_1y,
+      description: (v.description || '').toString().slice(0, 400)
+    };
+  });
+  const systemPrompt = `
+You help a casting team choose between ElevenLabs voices.
+
+Task:
+- Compare the candidate voices against the brief (if no brief is given, compare them for general use).
+- Name the best fit and give the deciding reasons in at most 4 short sentences.
+- Mention a runner-up only if it is clearly better for part of the brief.
+- Use only the metadata provided; do not invent audio characteristics.
+- Write in the language with ISO code "${lang}". Plain text, no headings, no lists.
+`.trim();
+
+  try {
+    const { content } = await llmChat('compare', {
+      temperature: 0.2,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: JSON.stringify({ brief: brief || null, candidates }) }
+      ]
+    });
+    return content ? content.trim() : null;
+  } catch (err) {
+    safeLogAxiosError('generateCompareVerdict', err);
+    return null;
+  }
+}
+
+// Blocked voices are left out and listed in out.blocked.
+async function resolveVoicesForCompare(session, voiceIds) {
+  const out = [];
+  out.blocked = [];
+  for (const id of voiceIds) {
+    let voice = findSessionVoice(session, id);
+    if (!voice) {
+      const found = await fetchSharedVoiceByIdOrSearch(id);
+      voice = found && found.voice_id === id ? found : null;
+    }
+    if (voice && isVoiceBlocked(voice)) out.blocked.push(id);
+    else if (voice) out.push(voice);
+  }
+  return out;
+}
+
+async function runVoiceComparison(client, { channel, threadTs, session, voiceIds }) {
+  const uiLang = session?.uiLanguage;
+  const say = async (text) =>
+    safePostMessage(client, { channel, thread_ts: threadTs, text: await translateForUserLanguage(text, uiLang) });
+
+  const ids = voiceIds && voiceIds.length ? voiceIds : Array.isArray(session?.compareIds) ? session.compareIds : [];
+  if (ids.length < 2) {
+    await say('Pick at least two voices: use ⚖️ Compare on the result cards, or write `compare <voice_id> <voice_id>`.');
+    return;
+  }
+  const voices = await resolveVoicesForCompare(session, ids.slice(0, COMPARE_MAX_VOICES));
+  const missing = ids.filter((id) => !voices.some((v) => v.voice_id === id) && !voices.blocked.includes(id));
+  const blockedNote = voices.blocked.length ? `${voices.blocked.join(', ')} ${voices.blocked.length === 1 ? 'is' : 'are'} ${VOICE_POLICY_BLOCKED_TEXT}` : '';
+  if (voices.length < 2) {
+    const notes = [missing.length ? `not found: ${missing.join(', ')}` : '', blockedNote].filter(Boolean);
+    await say(`I couldn't find enough of those voices to compare${notes.length ? ` (${notes.join('; ')})` : ''}.`);
+    return;
+  }
+  if (blockedNote) await say(`Skipped: ${blockedNote}.`);
+
+  const brief = session?.originalQuery || '';
+  let heading = brief ? `*Comparison* – brief: _${brief}_` : '*Comparison*';
+  heading = await translateForUserLanguage(heading, uiLang);
+  const list = voices
+    .map((v, i) => `${i + 1}. *<https://elevenlabs.io/app/voice-library?search=${encodeURIComponent(v.voice_id)}|${v.name || v.voice_id}>* \`${v.voice_id}\``)
+    .join('\n');
+  const descriptions = voices
+    .filter((v) => v.description)
+    .map((v) => `• *${v.name || v.voice_id}*: ${String(v.description).replace(/\s+/g, ' ').slice(0, 240)}`)
+    .join('\n');
+  const verdict = await generateCompareVerdict(brief, voices, uiLang);
+
+  const parts = [heading, list, buildCompareTable(voices, session)];
+  if (descriptions) parts.push(descriptions);
+  if (verdict) parts.push(`:scales: ${verdict}`);
+  if (missing.length) parts.push(`_Not found: ${missing.join(', ')}_`);
+  const text = parts.join('\n\n');
+  await safePostMessage(client, { channel, thread_ts: threadTs, text, blocks: buildBlocksFromText(text) || undefined });
+
+  if (session && (!voiceIds || !voiceIds.length)) {
+    session.compareIds = [];
+    saveSession(threadTs, session);
+  }
+}
+
+app.action(/^compare_add:/, async ({ ack, body, action, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const voiceId = (action?.value || String(action?.action_id || '').split(':')[1] || '').trim();
+    const { channel, threadTs } = resolveActionChannelThread(body);
+    const userId = body.user?.id;
+    if (!voiceId || !channel || !threadTs) return;
+    const session = getSession(threadTs);
+    if (!session) return;
+
+    // Toggle; the oldest pick makes room once the limit is reached.
+    const ids = Array.isArray(session.compareIds) ? session.compareIds.filter((id) => id !== voiceId) : [];
+    const removed = ids.length !== (session.compareIds || []).length;
+    if (!removed) ids.push(voiceId);
+    session.compareIds = ids.slice(-COMPARE_MAX_VOICES);
+    saveSession(threadTs, session);
+
+    const names = session.compareIds.map((id) => findSessionVoice(session, id)?.name || id);
+    let text = session.compareIds.length
+      ? `Compare list (${session.compareIds.length}/${COMPARE_MAX_VOICES}): ${names.join(', ')}`
+      : 'Compare list is empty.';
+    if (session.compareIds.length < 2) text += ' – pick at least one more voice.';
+    text = await translateForUserLanguage(text, session.uiLanguage);
+    const blocks = [{ type: 'section', text: { type: 'mrkdwn', text } }];
+    if (session.compareIds.length >= 2) {
+      const cardLabels = await getCardLabels(session.uiLanguage);
+      blocks.push({
+        type: 'actions',
+        elements: [
+          {
+            type: 'button',
+            style: 'primary',
+            action_id: 'compare_run',
+            text: { type: 'plain_text', text: `${cardLabels.compare} (${session.compareIds.length})`.slice(0, 75), emoji: true }
+          }
+        ]
+      });
+    }
+    await client.chat.postEphemeral({ channel, user: userId, thread_ts: threadTs, text, blocks });
+  } catch (err) {
+    console.error('compare_add error', err);
+  }
+});
+
+app.action('compare_run', async ({ ack, body, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const { channel } = resolveActionChannelThread(body);
+    const threadTs = body.container?.thread_ts || body.message?.thread_ts || body.container?.message_ts;
+    if (!channel || !threadTs) return;
+    const session = getSession(threadTs);
+    if (!session) return;
+    await runVoiceComparison(client, { channel, threadTs, session, voiceIds: null });
+  } catch (err) {
+    console.error('compare_run error', err);
+  }
+});
+
+// -------------------------------------------------------------
+// Workspace voice policy – blocklist / allowlist
+// -------------------------------------------------------------
+// Entries are keyed by voice_id or by public_owner_id and applied to every fetched candidate list
+// (fetchVoicesByKeywords, top-by-language, similar voices, "next page" fetches). A voice entry wins
+// over an owner entry, so a single voice can be allowed from a blocked owner (and vice versa).
+// Hidden voices are counted on the voices array (voices.policyHidden) and reported under the results.
+//
+// Managed with `/voicepolicy ...` or by mentioning the bot with "voice policy ...". Anyone can list;
+// changes are limited to VOICE_POLICY_ADMIN_USERS / VOICE_POLICY_ADMIN_USERGROUPS (Slack ids).
+const VOICE_POLICY_ADMIN_USERS = new Set(parseEnvIdList(process.env.VOICE_POLICY_ADMIN_USERS));
+const VOICE_POLICY_ADMIN_USERGROUPS = parseEnvIdList(process.env.VOICE_POLICY_ADMIN_USERGROUPS);
+
+const voicePolicyStore = createStore('voice_policy', process.env.VOICE_POLICY_STORE || process.env.SESSION_STORE || 'file');
+let voicePolicyCache = null; // { voice: Map<id, entry>, owner: Map<id, entry>, size }
+
+// Store keys: "voice:<voice_id>" / "owner:<public_owner_id>" -> { list: 'block'|'allow', kind, id, reason, addedBy, addedAt }
+function getVoicePolicy() {
+  if (voicePolicyCache) return voicePolicyCache;
+  const policy = { voice: new Map(), owner: new Map(), size: 0 };
+  try {
+    for (const [, entry] of voicePolicyStore.entries()) {
+      if (!entry || !policy[entry.kind] || !entry.id) continue;
+      policy[entry.kind].set(entry.id, entry);
+      policy.size++;
+    }
+  } catch (e) {
+    console.error('[voice_policy] load failed', e?.message || e);
+  }
+  voicePolicyCache = policy;
+  return policy;
+}
+
+function setVoicePolicyEntry(entry) {
+  voicePolicyStore.set(`${entry.kind}:${entry.id}`, entry);
+  voicePolicyCache = null;
+}
+
+function removeVoicePolicyEntry(kind, id) {
+  const key = `${kind}:${id}`;
+  const existing = voicePolicyStore.get(key);
+  if (existing) voicePolicyStore.delete(key);
+  voicePolicyCache = null;
+  return existing;
+}
+
+function isVoiceHiddenByPolicy(voice, policy = getVoicePolicy()) {
+  if (!voice || !policy.size) return false;
+  const byVoice = voice.voice_id ? policy.voice.get(voice.voice_id) : null;
+  if (byVoice) return byVoice.list === 'block';
+  const byOwner = voice.public_owner_id ? policy.owner.get(voice.public_owner_id) : null;
+  return !!byOwner && byOwner.list === 'block';
+}
+
+// Actions that take a voice by id (compare, preview, add, shortlists) skip search pools, so they check here.
+const VOICE_POLICY_BLOCKED_TEXT = 'blocked by workspace policy';
+
+function isVoiceBlocked(voiceOrId) {
+  return isVoiceHiddenByPolicy(typeof voiceOrId === 'string' ? { voice_id: voiceOrId } : voiceOrId);
+}
+
+// Returns a filtered copy; extra array props (facetGroups etc.) are carried over with blocked members removed.
+function applyVoicePolicy(voices, traceCb) {
+  const policy = getVoicePolicy();
+  if (!Array.isArray(voices) || !policy.size) return voices;
+  const hiddenIds = new Set();
+  const keep = (v) => {
+    if (!isVoiceHiddenByPolicy(v, policy)) return true;
+    if (v?.voice_id) hiddenIds.add(v.voice_id);
+    return false;
+  };
+  const out = voices.filter(keep);
+  for (const key of Object.keys(voices)) {
+    if (!/^\d+$/.test(key)) out[key] = voices[key];
+  }
+  if (Array.isArray(voices.facetGroups)) {
+    out.facetGroups = voices.facetGroups
+      .map((g) => ({ ...g, voices: (Array.isArray(g?.voices) ? g.voices : []).filter(keep) }))
+      .filter((g) => g.voices.length);
+  }
+  out.policyHidden = (Number(voices.policyHidden) || 0) + hiddenIds.size;
+  if (hiddenIds.size) {
+    try {
+      traceCb?.({ stage: 'voice_policy', params: { hidden: String(hiddenIds.size) }, count: out.length });
+    } catch (_) {}
+  }
+  return out;
+}
+
+function isVoicePolicyEditable() {
+  return VOICE_POLICY_ADMIN_USERS.size > 0 || VOICE_POLICY_ADMIN_USERGROUPS.length > 0;
+}
+
+async function isVoicePolicyAdmin(client, userId) {
+  return await isUserInAllowlist(client, userId, {
+    users: VOICE_POLICY_ADMIN_USERS,
+    usergroups: VOICE_POLICY_ADMIN_USERGROUPS,
+    context: 'voice_policy'
+  });
+}
+
+// "block <voice_id> <reason>", "allow owner:<public_owner_id> <reason>", "remove <id>", "list [block|allow]"
+function parseVoicePolicyCommand(text) {
+  const t = (text || '').toString().trim();
+  if (!t || /^help$/i.test(t)) return { action: 'help' };
+  let m = t.match(/^list(?:\s+(block|allow)(?:ed|list)?)?\s*$/i);
+  if (m) return { action: 'list', list: m[1] ? m[1].toLowerCase() : null };
+  m = t.match(/^(block|allow|remove|unblock|unallow)\s+(?:(voice|owner)\s*[:\s]\s*)?([A-Za-z0-9_-]{6,})(?:\s+([\s\S]*))?$/i);
+  if (!m) return { action: 'help' };
+  const verb = m[1].toLowerCase();
+  return {
+    action: verb === 'block' || verb === 'allow' ? verb : 'remove',
+    kind: (m[2] || 'voice').toLowerCase(),
+    id: m[3],
+    reason: (m[4] || '').replace(/^[\s:–—-]+/, '').trim().slice(0, 300)
+  };
+}
+
+function buildVoicePolicyHelpText() {
+  return [
+    '*Voice policy* – voices hidden from (or kept in) every search in this workspace:',
+    '• `block <voice_id> <reason>` – hide a voice',
+    '• `block owner:<public_owner_id> <reason>` – hide every voice of a library owner',
+    '• `allow <voice_id|owner:<id>> <reason>` – exempt a voice/owner (a voice entry beats an owner entry)',
+    '• `remove <voice_id|owner:<id>>` – delete an entry',
+    '• `list [block|allow]` – show entries'
+  ].join('\n');
+}
+
+function buildVoicePolicyListText(listFilter) {
+  const policy = getVoicePolicy();
+  const entries = [...policy.voice.values(), ...policy.owner.values()]
+    .filter((e) => !listFilter || e.list === listFilter)
+    .sort((a, b) => (b.addedAt || 0) - (a.addedAt || 0));
+  if (!entries.length) return listFilter ? `No *${listFilter}* entries yet.` : 'The voice policy is empty.';
+  const lines = [`*Voice policy* (${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}):`];
+  for (const e of entries.slice(0, 100)) {
+    const icon = e.list === 'block' ? '🚫' : '✅';
+    const target = e.kind === 'owner' ? `owner \`${e.id}\`` : `\`${e.id}\`${e.name ? ` (${e.name})` : ''}`;
+    const by = e.addedBy ? ` – <@${e.addedBy}>` : '';
+    const when = e.addedAt ? `, ${new Date(e.addedAt).toISOString().slice(0, 10)}` : '';
+    lines.push(`${icon} ${e.list} ${target}: ${e.reason || '(no reason)'}${by}${when}`);
+  }
+  if (entries.length > 100) lines.push(`…and ${entries.length - 100} more.`);
+  return lines.join('\n');
+}
+
+async function runVoicePolicyCommand(client, cmd, { userId, reply }) {
+  if (cmd.action === 'help') return await reply(buildVoicePolicyHelpText());
+  if (cmd.action === 'list') return await reply(buildVoicePolicyListText(cmd.list));
+
+  if (!isVoicePolicyEditable()) {
+    return await reply('Voice policy changes are disabled (set VOICE_POLICY_ADMIN_USERS or VOICE_POLICY_ADMIN_USERGROUPS).');
+  }
+  if (!(await isVoicePolicyAdmin(client, userId))) {
+    return await reply('Only voice policy admins can change the blocklist/allowlist.');
+  }
+  if (cmd.action === 'remove') {
+    const removed = removeVoicePolicyEntry(cmd.kind, cmd.id);
+    return await reply(
+      removed ? `Removed *${removed.list}* entry for ${cmd.kind} \`${cmd.id}\`.` : `No policy entry for ${cmd.kind} \`${cmd.id}\`.`
+    );
+  }
+  if (!cmd.reason) return await reply(`Please add a reason, e.g. \`${cmd.action} ${cmd.kind === 'owner' ? 'owner:' : ''}${cmd.id} unclear licensing\`.`);
+
+  let name = null;
+  if (cmd.kind === 'voice') {
+    try {
+      const voice = await fetchSharedVoiceByIdOrSearch(cmd.id);
+      name = voice?.voice_id === cmd.id ? voice.name || null : null;
+    } catch (_) {}
+  }
+  setVoicePolicyEntry({
+    list: cmd.action,
+    kind: cmd.kind,
+    id: cmd.id,
+    name,
+    reason: cmd.reason,
+    addedBy: userId || null,
+    addedAt: Date.now()
+  });
+  const target = cmd.kind === 'owner' ? `owner \`${cmd.id}\`` : `\`${cmd.id}\`${name ? ` (${name})` : ''}`;
+  return await reply(`${cmd.action === 'block' ? '🚫 Blocked' : '✅ Allowed'} ${target}: ${cmd.reason}`);
+}
+
+app.command('/voicepolicy', async ({ command, ack, respond, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    await runVoicePolicyCommand(client, parseVoicePolicyCommand(command.text), {
+      userId: command.user_id,
+      reply: (text) => respond({ response_type: 'ephemeral', text, blocks: buildBlocksFromText(text) || undefined })
+    });
+  } catch (err) {
+    console.error('/voicepolicy error', err);
+  }
+});
+
+// -------------------------------------------------------------
+// Saved searches ("watch this search") – alerts for newly published voices
+// -------------------------------------------------------------
+// A watch stores the thread's keyword plan + filters and the voice_ids already seen. The scheduler
+// re-runs the plan sorted by creation date every WATCH_INTERVAL_MS and posts unseen voices to the
+// channel (or DM) the search came from: a short top-level alert with the cards in its thread, so the
+// usual buttons and follow-ups work there.
+// Started with "watch this search" in a result thread or the 🔔 control; managed with `/watches ...`
+// or by mentioning the bot with "watches ...".
+const WATCH_INTERVAL_MS = readEnvNumber('WATCH_INTERVAL_MS', 24 * 60 * 60 * 1000);
+const WATCH_CHECK_INTERVAL_MS = readEnvNumber('WATCH_CHECK_INTERVAL_MS', 10 * 60 * 1000);
+const WATCH_MAX_PER_CHANNEL = readEnvNumber('WATCH_MAX_PER_CHANNEL', 20);
+const WATCH_MAX_SEEN_IDS = 5000;
+
+const savedSearchStore = createStore('saved_searches', process.env.SAVED_SEARCH_STORE || process.env.SESSION_STORE || 'file');
+let savedSearchTimer = null;
+let savedSearchRunInFlight = null;
+
+function detectWatchIntent(lower) {
+  const t = (lower || '').toString().trim();
+  return (
+    /^(?:please\s+)?(?:watch|follow|subscribe to)\s+(?:this|the|this voice)\s*search\b/.test(t) ||
+    // Bare "watch this" only – "watch this one, but only female" is a refinement.
+    /^(?:please\s+)?watch this(?:\s+search)?[.!]?$/.test(t) ||
+    /^(?:please\s+)?(?:notify|alert) me (?:about|of|when there are) new voices\b/.test(t)
+  );
+}
+
+function collectSessionVoiceIds(session) {
+  const voices = Array.isArray(session?.voices) ? session.voices : [];
+  const ids = new Set(voices.map((v) => v?.voice_id).filter(Boolean));
+  for (const g of Array.isArray(voices.facetGroups) ? voices.facetGroups : []) {
+    for (const v of Array.isArray(g?.voices) ? g.voices : []) if (v?.voice_id) ids.add(v.voice_id);
+  }
+  return [...ids];
+}
+
+// Watches visible from a channel: the channel's own plus the ones the user created elsewhere.
+function listSavedSearches({ channelId, userId } = {}) {
+  const out = [];
+  try {
+    for (const [, search] of savedSearchStore.entries()) {
+      if (!search) continue;
+      if (!channelId && !userId) out.push(search);
+      else if (search.channel === channelId || (userId && search.userId === userId)) out.push(search);
+    }
+  } catch (e) {
+    console.error('[saved_searches] list failed', e?.message || e);
+  }
+  out.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  return out;
+}
+
+function createSavedSearch(session, { channel, threadTs, userId, teamId }) {
+  const existing = listSavedSearches({ channelId: channel }).find((s) => s.threadTs === threadTs);
+  if (existing) return { search: existing, existing: true };
+  if (listSavedSearches({ channelId: channel }).filter((s) => s.channel === channel).length >= WATCH_MAX_PER_CHANNEL) {
+    return { search: null, full: true };
+  }
+  const filters = session.filters || {};
+  const search = {
+    id: crypto.randomBytes(3).toString('hex'),
+    channel,
+    threadTs,
+    userId: userId || null,
+    teamId: teamId || null,
+    query: (session.originalQuery || '').toString().slice(0, 500),
+    keywordPlan: JSON.parse(JSON.stringify(session.keywordPlan || {})),
+    filters: {
+      quality: filters.quality || 'any',
+      gender: filters.gender === 'male' || filters.gender === 'female' ? filters.gender : 'any',
+      featured: filters.featured === true,
+      strictUseCase: filters.strictUseCase === true,
+      strictDescriptives: filters.strictDescriptives === true
+    },
+    uiLanguage: session.uiLanguage || null,
+    seenIds: collectSessionVoiceIds(session),
+    paused: false,
+    createdAt: Date.now(),
+    lastRunAt: null,
+    lastAlertAt: null,
+    lastError: null
+  };
+  savedSearchStore.set(search.id, search);
+  return { search, existing: false };
+}
+
+function buildSavedSearchPlan(search) {
+  const plan = JSON.parse(JSON.stringify(search.keywordPlan || {}));
+  const filters = search.filters || {};
+  plan.__featured = filters.featured === true;
+  plan.__sort = 'created_date';
+  plan.__listAll = true;
+  plan.__forceUseCases = filters.strictUseCase === true;
+  plan.__forceDescriptives = filters.strictDescriptives === true;
+  return plan;
+}
+
+// Re-run one watch. With { baseline: true } the current results are only recorded as seen.
+async function runSavedSearch(client, search, { baseline = false } = {}) {
+  const plan = buildSavedSearchPlan(search);
+  const voices = await fetchVoicesByKeywords(plan, search.query, null);
+  const seen = new Set(Array.isArray(search.seenIds) ? search.seenIds : []);
+  const fetchedIds = collectSessionVoiceIds({ voices });
+  const fresh = voices.filter((v) => v?.voice_id && !seen.has(v.voice_id));
+
+  const session = {
+    originalQuery: search.query,
+    keywordPlan: plan,
+    voices: fresh,
+    ranking: {},
+    uiLanguage: search.uiLanguage,
+    filters: { ...search.filters, listAll: false, sort: 'date_desc', limitPerGender: null },
+    lastActive: Date.now()
+  };
+  // Only voices that pass the watch's quality/gender filters are worth an alert.
+  const alertVoices = baseline || !fresh.length ? [] : getResultPool(session);
+
+  search.seenIds = [...seen, ...fetchedIds.filter((id) => !seen.has(id))].slice(-WATCH_MAX_SEEN_IDS);
+  search.lastRunAt = Date.now();
+  search.lastError = null;
+
+  if (alertVoices.length) {
+    const ranked = await rankVoicesWithGPT(search.query, plan, alertVoices);
+    session.voices = alertVoices;
+    session.ranking = ranked.scoreMap;
+    const n = alertVoices.length;
+    let header = `🔔 *${n} new voice${n === 1 ? '' : 's'}* for watched search \`${search.id}\`: _${search.query.slice(0, 200)}_`;
+    header = await translateForUserLanguage(header, search.uiLanguage);
+    try {
+      const res = await client.chat.postMessage({ channel: search.channel, text: header });
+      const alertTs = res?.ts;
+      if (alertTs) {
+        saveSession(alertTs, session);
+        await postSessionResults(client, { channel: search.channel, threadTs: alertTs, session, controls: true });
+      }
+      search.lastAlertAt = Date.now();
+    } catch (e) {
+      const code = e?.data?.error || e?.message || String(e);
+      search.lastError = code;
+      // The bot can no longer post there: pause instead of retrying every cycle.
+      if (/channel_not_found|not_in_channel|is_archived|account_inactive/.test(code)) search.paused = true;
+      console.error(`[saved_searches] alert for ${search.id} failed:`, code);
+    }
+  }
+  savedSearchStore.set(search.id, search);
+  return { fresh: alertVoices.length, fetched: fetchedIds.length };
+}
+
+async function runDueSavedSearches(client) {
+  if (savedSearchRunInFlight) return await savedSearchRunInFlight;
+  savedSearchRunInFlight = (async () => {
+    const now = Date.now();
+    for (const search of listSavedSearches()) {
+      if (search.paused) continue;
+      if (search.lastRunAt && now - search.lastRunAt < WATCH_INTERVAL_MS) continue;
+      try {
+        await runSavedSearch(client, search);
+      } catch (e) {
+        console.error(`[saved_searches] run ${search.id} failed:`, e?.message || e);
+        try {
+          savedSearchStore.set(search.id, { ...search, lastRunAt: now, lastError: e?.message || String(e) });
+        } catch (_) {}
+      }
+    }
+  })();
+  try {
+    return await savedSearchRunInFlight;
+  } finally {
+    savedSearchRunInFlight = null;
+  }
+}
+
+function startSavedSearchScheduler(client) {
+  try {
+    if (savedSearchTimer) return;
+    savedSearchTimer = setInterval(() => {
+      runDueSavedSearches(client).catch(() => {});
+    }, WATCH_CHECK_INTERVAL_MS);
+  } catch (_) {}
+}
+
+async function watchSessionSearch(client, { channel, threadTs, session, userId, teamId }) {
+  const { search, existing, full } = createSavedSearch(session, { channel, threadTs, userId, teamId });
+  let text;
+  if (full) {
+    text = `This channel already has ${WATCH_MAX_PER_CHANNEL} watched searches – delete one with \`/watches delete <id>\` first.`;
+  } else if (existing) {
+    text = `This search is already watched (\`${search.id}\`${search.paused ? ', paused' : ''}).`;
+  } else {
+    // Record what the library returns today so the first alert only has genuinely new voices.
+    try {
+      await runSavedSearch(client, search, { baseline: true });
+    } catch (e) {
+      console.error('[saved_searches] baseline failed', e?.message || e);
+    }
+    const hours = Math.round(WATCH_INTERVAL_MS / 3600000);
+    text = `🔔 Watching this search (\`${search.id}\`). I'll post newly published matching voices here every ${hours >= 1 ? `${hours}h` : `${Math.max(1, Math.round(WATCH_INTERVAL_MS / 60000))} min`}.`;
+  }
+  text = await translateForUserLanguage(text, session?.uiLanguage);
+  await safePostMessage(client, { channel, thread_ts: threadTs, text });
+}
+
+function parseSavedSearchCommand(text) {
+  const t = (text || '').toString().trim();
+  if (!t || /^list$/i.test(t)) return { action: 'list' };
+  const m = t.match(/^(pause|resume|delete|remove|run)\s+`?([a-f0-9]{6})`?\s*$/i);
+  if (!m) return { action: 'help' };
+  const verb = m[1].toLowerCase();
+  return { action: verb === 'remove' ? 'delete' : verb, id: m[2].toLowerCase() };
+}
+
+function buildSavedSearchHelpText() {
+  return [
+    '*Watched searches* – say "watch this search" in a result thread (or use 🔔) to get alerts for new voices.',
+    '• `list` – watched searches in this channel (and yours elsewhere)',
+    '• `pause <id>` / `resume <id>`',
+    '• `run <id>` – check for new voices now',
+    '• `delete <id>`'
+  ].join('\n');
+}
+
+function buildSavedSearchListText(list) {
+  if (!list.length) return 'No watched searches yet. Say "watch this search" in a result thread to add one.';
+  const lines = ['*Watched searches:*'];
+  for (const s of list.slice(0, 50)) {
+    const state = s.paused ? '⏸ paused' : '🔔 active';
+    const last = s.lastAlertAt ? `last alert ${new Date(s.lastAlertAt).toISOString().slice(0, 10)}` : 'no alerts yet';
+    const where = s.channel ? ` in <#${s.channel}>` : '';
+    const error = s.lastError ? ` – ⚠️ ${s.lastError}` : '';
+    lines.push(`• \`${s.id}\` ${state}${where}: _${String(s.query || '').slice(0, 120)}_ (${last})${error}`);
+  }
+  return lines.join('\n');
+}
+
+async function runSavedSearchCommand(client, cmd, { ctx, userId, reply }) {
+  if (cmd.action === 'help') return await reply(buildSavedSearchHelpText());
+  const visible = listSavedSearches({ channelId: ctx.channelId, userId });
+  if (cmd.action === 'list') return await reply(buildSavedSearchListText(visible));
+
+  const search = visible.find((s) => s.id === cmd.id);
+  if (!search) return await reply(`No watched search \`${cmd.id}\` here. Try \`/watches list\`.`);
+  if (cmd.action === 'delete') {
+    savedSearchStore.delete(search.id);
+    return await reply(`Deleted watched search \`${search.id}\`.`);
+  }
+  if (cmd.action === 'run') {
+    const res = await runSavedSearch(client, search);
+    return await reply(res.fresh ? `Posted ${res.fresh} new voice(s) for \`${search.id}\`.` : `No new voices for \`${search.id}\`.`);
+  }
+  savedSearchStore.set(search.id, { ...search, paused: cmd.action === 'pause', lastError: cmd.action === 'resume' ? null : search.lastError });
+  return await reply(`${cmd.action === 'pause' ? '⏸ Paused' : '🔔 Resumed'} watched search \`${search.id}\`.`);
+}
+
+app.action('watch_search', async ({ ack, body, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    const { channel, threadTs } = resolveActionChannelThread(body);
+    if (!threadTs || !channel) return;
+    const session = getSession(threadTs);
+    if (!session) return;
+    await watchSessionSearch(client, { channel, threadTs, session, userId: body.user?.id, teamId: body.team?.id });
+  } catch (err) {
+    console.error('watch_search error', err);
+  }
+});
+
+app.command('/watches', async ({ command, ack, respond, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    await runSavedSearchCommand(client, parseSavedSearchCommand(command.text), {
+      ctx: { channelId: command.channel_id, teamId: command.team_id },
+      userId: command.user_id,
+      reply: (text) => respond({ response_type: 'ephemeral', text, blocks: buildBlocksFromText(text) || undefined })
+    });
+  } catch (err) {
+    console.error('/watches error', err);
+  }
+});
+
+// -------------------------------------------------------------
+// Weekly digest – newest voices and 7-day usage movers per language
+// -------------------------------------------------------------
+// A channel subscribes with `/digest add es, pt` (or "digest add spanish" in a mention); languages are
+// validated against languageIndex. Every DIGEST_INTERVAL_MS the scheduler posts one message per
+// language: the newest voices (sort=created_date) and the biggest 7-day movers
+// (sort=usage_character_count_7d, scored against the voice's average week over the last year),
+// both grouped by accent in FacetKB order.
+const DIGEST_INTERVAL_MS = readEnvNumber('DIGEST_INTERVAL_MS', 7 * 24 * 60 * 60 * 1000);
+const DIGEST_CHECK_INTERVAL_MS = readEnvNumber('DIGEST_CHECK_INTERVAL_MS', 60 * 60 * 1000);
+const DIGEST_VOICES_PER_SECTION = readEnvNumber('DIGEST_VOICES_PER_SECTION', 8);
+const DIGEST_MAX_LANGUAGES = 10;
+const DIGEST_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const digestStore = createStore('digests', process.env.DIGEST_STORE || process.env.SESSION_STORE || 'file');
+let digestTimer = null;
+let digestRunInFlight = null;
+
+function parseDigestCommand(text) {
+  const t = (text || '').toString().trim();
+  if (!t || /^(list|status)$/i.test(t)) return { action: 'list' };
+  if (/^(off|stop|disable)$/i.test(t)) return { action: 'off' };
+  if (/^(now|run|preview)$/i.test(t)) return { action: 'now' };
+  const m = t.match(/^(add|remove)\s+(.+)$/i);
+  if (!m) return { action: 'help' };
+  const languages = m[2]
+    .split(/[,;]+|\s+and\s+/i)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return { action: m[1].toLowerCase(), languages };
+}
+
+function buildDigestHelpText() {
+  return [
+    '*Weekly voice digest* – newest voices and 7-day usage movers, grouped by accent:',
+    '• `add <language>[, <language>…]` – e.g. `add es, pt, polish`',
+    '• `remove <language>`',
+    '• `list` – languages and the last run',
+    '• `now` – post the digest right away',
+    '• `off` – stop the digest in this channel'
+  ].join('\n');
+}
+
+function voiceUsageMoverScore(voice) {
+  const week = Number(voice?.usage_character_count_7d) || 0;
+  const year = Number(voice?.usage_character_count_1y) || 0;
+  return week - year / 52;
+}
+
+function getVoiceCreatedAtMs(voice) {
+  const unix = Number(voice?.date_unix);
+  return Number.isFinite(unix) && unix > 0 ? unix * 1000 : null;
+}
+
+// Accent groups in FacetKB order (most common accent first); unknown accents go last.
+function groupVoicesByAccentForDigest(voices, iso2) {
+  const counts = facetKB?.accentCountByIso2Accent?.get(iso2) || new Map();
+  const allowed = facetKB?.allowedAccentsByIso2?.get(iso2) || null;
+  const groups = new Map();
+  for (const v of voices) {
+    const norm = normalizeCatalogToken(v?.accent || '');
+    const key = norm && (!allowed || !allowed.size || allowed.has(norm)) ? norm : '__other__';
+    if (!groups.has(key)) groups.set(key, { key, label: key === '__other__' ? 'other' : norm, voices: [] });
+    groups.get(key).voices.push(v);
+  }
+  return [...groups.values()].sort((a, b) => {
+    if (a.key === '__other__') return 1;
+    if (b.key === '__other__') return -1;
+    return (counts.get(b.key) || 0) - (counts.get(a.key) || 0) || a.label.localeCompare(b.label);
+  });
+}
+
+async function buildLanguageDigest(iso2, traceCb) {
+  const now = Date.now();
+  // Explicit "language: xx" so appendQueryFiltersToParams applies the language filter.
+  const brief = `language: ${iso2}`;
+  const newestRaw = await fetchTopVoicesByLanguage(iso2, 'any', { __sort: 'created_date' }, brief, traceCb);
+  const newestSorted = newestRaw
+    .slice()
+    .sort((a, b) => (getVoiceCreatedAtMs(b) || 0) - (getVoiceCreatedAtMs(a) || 0));
+  // Prefer voices published inside the digest window; fall back to the newest few when dates are missing.
+  const recent = newestSorted.filter((v) => (getVoiceCreatedAtMs(v) || 0) >= now - DIGEST_WINDOW_MS);
+  const newest = (recent.length ? recent : newestSorted.filter((v) => !getVoiceCreatedAtMs(v))).slice(0, DIGEST_VOICES_PER_SECTION);
+
+  const newestIds = new Set(newest.map((v) => v.voice_id));
+  const trendingRaw = await fetchTopVoicesByLanguage(iso2, 'any', { __sort: 'usage_character_count_7d' }, brief, traceCb);
+  const movers = trendingRaw
+    .filter((v) => v?.voice_id && !newestIds.has(v.voice_id) && voiceUsageMoverScore(v) > 0)
+    .sort((a, b) => voiceUsageMoverScore(b) - voiceUsageMoverScore(a))
+    .slice(0, DIGEST_VOICES_PER_SECTION);
+
+  return { iso2, newest, movers };
+}
+
+function buildLanguageDigestText(digest) {
+  const name = getLanguageDisplayName(digest.iso2);
+  const lines = [`*${name} (${digest.iso2.toUpperCase()})*`];
+  const renderSection = (title, voices, detail) => {
+    lines.push(`_${title}_`);
+    if (!voices.length) {
+      lines.push('• nothing this week');
+      return;
+    }
+    for (const group of groupVoicesByAccentForDigest(voices, digest.iso2)) {
+      lines.push(`*${group.label}*`);
+      for (const v of group.voices) lines.push(`• ${formatVoiceLine(v)} – ${detail(v)}`);
+    }
+  };
+  renderSection('Newest', digest.newest, (v) => {
+    const at = getVoiceCreatedAtMs(v);
+    const hq = isHighQuality(v) ? ' · HQ' : '';
+    return `${at ? new Date(at).toISOString().slice(0, 10) : 'new'}${hq}`;
+  });
+  renderSection('Trending (7d usage)', digest.movers, (v) => {
+    const week = formatCompactNumber(v.usage_character_count_7d || 0);
+    const avg = formatCompactNumber(Math.round((Number(v.usage_character_count_1y) || 0) / 52));
+    return `${week} chars this week (avg ${avg})`;
+  });
+  return lines.join('\n');
+}
+
+async function postChannelDigest(client, config) {
+  await ensureLanguageIndexLoaded();
+  try {
+    if (facetKB && typeof facetKB.ensureLoaded === 'function') await facetKB.ensureLoaded();
+  } catch (_) {}
+  let posted = 0;
+  for (const iso2 of config.languages || []) {
+    const digest = await buildLanguageDigest(iso2);
+    const text = `📰 *Weekly voice digest*\n${buildLanguageDigestText(digest)}`;
+    await client.chat.postMessage({
+      channel: config.channel,
+      text: `Weekly voice digest – ${getLanguageDisplayName(iso2)}`,
+      blocks: buildBlocksFromText(text) || undefined
+    });
+    posted++;
+  }
+  return posted;
+}
+
+async function runDueDigests(client) {
+  if (digestRunInFlight) return await digestRunInFlight;
+  digestRunInFlight = (async () => {
+    for (const [key, config] of digestStore.entries()) {
+      if (!config || !Array.isArray(config.languages) || !config.languages.length) continue;
+      if (config.lastRunAt && Date.now() - config.lastRunAt < DIGEST_INTERVAL_MS) continue;
+      const next = { ...config, lastRunAt: Date.now(), lastError: null };
+      try {
+        await postChannelDigest(client, config);
+      } catch (e) {
+        next.lastError = e?.data?.error || e?.message || String(e);
+        console.error(`[digest] ${config.channel} failed:`, next.lastError);
+      }
+      digestStore.set(key, next);
+    }
+  })();
+  try {
+    return await digestRunInFlight;
+  } finally {
+    digestRunInFlight = null;
+  }
+}
+
+function startDigestScheduler(client) {
+  try {
+    if (digestTimer) return;
+    digestTimer = setInterval(() => {
+      runDueDigests(client).catch(() => {});
+    }, DIGEST_CHECK_INTERVAL_MS);
+  } catch (_) {}
+}
+
+async function runDigestCommand(client, cmd, { channelId, userId, reply }) {
+  const key = `channel:${channelId}`;
+  const config = digestStore.get(key) || { channel: channelId, languages: [], lastRunAt: null };
+  if (cmd.action === 'help') return await reply(buildDigestHelpText());
+  if (cmd.action === 'list') {
+    if (!config.languages.length) return await reply('No digest in this channel yet. Try `/digest add es`.');
+    const langs = config.languages.map((l) => `${getLanguageDisplayName(l)} (${l})`).join(', ');
+    const last = config.lastRunAt ? new Date(config.lastRunAt).toISOString().slice(0, 16).replace('T', ' ') + ' UTC' : 'not yet';
+    return await reply(`*Weekly digest:* ${langs}\nLast run: ${last}${config.lastError ? ` – ⚠️ ${config.lastError}` : ''}`);
+  }
+  if (cmd.action === 'off') {
+    digestStore.delete(key);
+    return await reply('Weekly digest turned off for this channel.');
+  }
+  if (cmd.action === 'now') {
+    if (!config.languages.length) return await reply('No digest languages configured. Try `/digest add es`.');
+    await reply(`Posting the digest for ${config.languages.length} language(s)…`);
+    await postChannelDigest(client, config);
+    digestStore.set(key, { ...config, lastRunAt: Date.now(), lastError: null });
+    return;
+  }
+
+  await ensureLanguageIndexLoaded();
+  const resolved = [];
+  const unknown = [];
+  for (const token of cmd.languages) {
+    // "es pt" works too; multi-word names ("haitian creole") are tried whole first.
+    const iso2 = resolveLanguageCode(token);
+    const parts = iso2 ? [iso2] : token.split(/\s+/).map(resolveLanguageCode);
+    if (parts.length && parts.every(Boolean)) resolved.push(...parts);
+    else unknown.push(token);
+  }
+  const unknownNote = unknown.length ? `\nUnknown language(s): ${unknown.map((u) => `\`${u}\``).join(', ')}` : '';
+  if (cmd.action === 'remove') {
+    config.languages = config.languages.filter((l) => !resolved.includes(l));
+  } else {
+    config.languages = dedupePreserveOrder([...config.languages, ...resolved]).slice(0, DIGEST_MAX_LANGUAGES);
+    config.addedBy = config.addedBy || userId || null;
+  }
+  if (config.languages.length) digestStore.set(key, config);
+  else digestStore.delete(key);
+  const langs = config.languages.map((l) => `${getLanguageDisplayName(l)} (${l})`).join(', ') || 'none';
+  return await reply(`Weekly digest languages: ${langs}${unknownNote}`);
+}
+
+app.command('/digest', async ({ command, ack, respond, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    await runDigestCommand(client, parseDigestCommand(command.text), {
+      channelId: command.channel_id,
+      userId: command.user_id,
+      reply: (text) => respond({ response_type: 'ephemeral', text })
+    });
+  } catch (err) {
+    console.error('/digest error', err);
+  }
+});
+
+// -------------------------------------------------------------
+// App Home – recent searches, shortlists, watched searches, status
+// -------------------------------------------------------------
+// Published per user on app_home_opened (and from the ↻ Refresh button).
+//
+// Required Slack setup:
+// - App Home: Home Tab enabled
+// - Event subscription: app_home_opened
+const SEARCH_HISTORY_MAX = 10;
+
+const searchHistoryStore = createStore('search_history', process.env.SEARCH_HISTORY_STORE || process.env.SESSION_STORE || 'file');
+
+function recordUserSearch(userId, { channel, threadTs, query }) {
+  if (!userId || !channel || !threadTs) return;
+  try {
+    const prev = searchHistoryStore.get(userId);
+    const searches = (Array.isArray(prev?.searches) ? prev.searches : []).filter((s) => s.threadTs !== threadTs);
+    searches.unshift({ channel, threadTs, query: (query || '').toString().slice(0, 200), at: Date.now(), permalink: null });
+    searchHistoryStore.set(userId, { searches: searches.slice(0, SEARCH_HISTORY_MAX) });
+  } catch (e) {
+    console.error('[search_history] save failed', e?.message || e);
+  }
+}
+
+// Permalinks are resolved once and stored with the entry.
+async function getUserSearchHistory(client, userId) {
+  const data = searchHistoryStore.get(userId);
+  const searches = Array.isArray(data?.searches) ? data.searches : [];
+  let changed = false;
+  for (const s of searches) {
+    if (s.permalink) continue;
+    try {
+      const res = await client.chat.getPermalink({ channel: s.channel, message_ts: s.threadTs });
+      if (res?.permalink) {
+        s.permalink = res.permalink;
+        changed = true;
+      }
+    } catch (_) {}
+  }
+  if (changed) {
+    try {
+      searchHistoryStore.set(userId, { searches });
+    } catch (_) {}
+  }
+  return searches;
+}
+
+// Lists the user created or saved voices to.
+function listUserShortlists(userId) {
+  const out = [];
+  try {
+    for (const [key, list] of shortlistStore.entries()) {
+      if (!list) continue;
+      const mine = list.createdBy === userId || (Array.isArray(list.entries) && list.entries.some((e) => e?.savedBy === userId));
+      if (mine) out.push({ key, ...list });
+    }
+  } catch (e) {
+    console.error('[shortlists] list failed', e?.message || e);
+  }
+  out.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  return out;
+}
+
+function formatSlackDate(ms, fallback = 'never') {
+  if (!ms) return fallback;
+  const unix = Math.floor(ms / 1000);
+  return `<!date^${unix}^{date_short_pretty} {time}|${new Date(ms).toISOString().slice(0, 16).replace('T', ' ')} UTC>`;
+}
+
+function describeApiHealth(service) {
+  const h = apiHealth.get(service);
+  if (!h) return '⚪ no calls since start';
+  if (h.ok) return `🟢 healthy (last call ${formatSlackDate(h.at)})`;
+  return `🔴 failing: ${h.error || 'error'} (since ${formatSlackDate(h.lastErrorAt)}; last success ${formatSlackDate(h.lastOkAt)})`;
+}
+
+function describeLlmUsage() {
+  const rows = Array.from(llmUsage.entries());
+  if (!rows.length) return 'no calls';
+  return rows
+    .map(([task, u]) => `${task} ${u.calls} call${u.calls === 1 ? '' : 's'}${u.failures ? ` (${u.failures} failed)` : ''}, ${u.total_tokens} tokens`)
+    .join(' · ');
+}
+
+function buildStatusPanelText() {
+  const kbLoaded = facetKB?.isLoaded ? facetKB.isLoaded() : false;
+  const langCount = languageIndex.iso2Set?.size || 0;
+  return [
+    '*Status*',
+    `• Accent catalog: loaded ${formatSlackDate(accentCatalog?.loadedAt)}, refreshed ${formatSlackDate(accentCatalog?.refreshLastAt)}`,
+    `• FacetKB: ${kbLoaded ? `loaded ${formatSlackDate(facetKB.loadedAt)}` : facetKB?.hasRemoteConfigured?.() ? 'not loaded yet' : 'not configured'}`,
+    `• Language index: ${languageIndex.loadedAt ? `${langCount} languages, refreshed ${formatSlackDate(languageIndex.loadedAt)}` : 'not loaded yet'}`,
+    `• ${getLlmProviderLabel()}: ${describeApiHealth('openai')}`,
+    `• LLM usage since start: ${describeLlmUsage()}`,
+    `• ElevenLabs: ${describeApiHealth('elevenlabs')}`
+  ].join('\n');
+}
+
+async function buildHomeView(client, userId) {
+  const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text: String(text).slice(0, 3000) } });
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: 'Voice search', emoji: true } },
+    {
+      type: 'actions',
+      elements: [{ type: 'button', action_id: 'home_refresh', text: { type: 'plain_text', text: '↻ Refresh', emoji: true } }]
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'Mention me in a channel, DM me, or use `/voices` to start a search.' }]
+    },
+    { type: 'divider' }
+  ];
+
+  const searches = await getUserSearchHistory(client, userId);
+  const searchLines = searches.map((s) => {
+    const label = (s.query || 'search').replace(/[<>|]/g, ' ').slice(0, 80);
+    const link = s.permalink ? `<${s.permalink}|${label}>` : label;
+    return `• ${link} – <#${s.channel}> · ${formatSlackDate(s.at)}`;
+  });
+  blocks.push(section(['*Your recent searches*', ...(searchLines.length ? searchLines : ['_No searches yet._'])].join('\n')));
+
+  const lists = listUserShortlists(userId).slice(0, 10);
+  const listLines = lists.map((l) => {
+    const where = l.scope === 'workspace' ? 'workspace' : l.channelId ? `<#${l.channelId}>` : 'channel';
+    const n = Array.isArray(l.entries) ? l.entries.length : 0;
+    return `• *${l.name}* – ${n} voice${n === 1 ? '' : 's'} · ${where}`;
+  });
+  blocks.push(section(['*Your shortlists*', ...(listLines.length ? listLines : ['_Use ⭐ Save on a voice card to start one._'])].join('\n')));
+
+  const watches = listSavedSearches({ userId }).slice(0, 10);
+  const watchLines = watches.map((w) => {
+    const state = w.paused ? '⏸' : '🔔';
+    const last = w.lastAlertAt ? `last alert ${formatSlackDate(w.lastAlertAt)}` : 'no alerts yet';
+    return `• ${state} \`${w.id}\` _${String(w.query || '').slice(0, 80)}_ – <#${w.channel}> · ${last}`;
+  });
+  blocks.push(section(['*Your watched searches*', ...(watchLines.length ? watchLines : ['_Say "watch this search" in a result thread._'])].join('\n')));
+
+  blocks.push({ type: 'divider' }, section(buildStatusPanelText()));
+  return { type: 'home', blocks };
+}
+
+async function publishHomeView(client, userId) {
+  if (!userId) return;
+  const view = await buildHomeView(client, userId);
+  await client.views.publish({ user_id: userId, view });
+}
+
+app.event('app_home_opened', async ({ event, client }) => {
+  try {
+    if (event.tab && event.tab !== 'home') return;
+    await publishHomeView(client, event.user);
+  } catch (err) {
+    console.error('app_home_opened error', err?.data?.error || err);
+  }
+});
+
+app.action('home_refresh', async ({ ack, body, client }) => {
+  try { await ack(); } catch (_) {}
+  try {
+    await publishHomeView(client, body.user?.id);
+  } catch (err) {
+    console.error('home_refresh error', err?.data?.error || err);
+  }
+});
+
 // -------------------------------------------------------------
 // Start the app (for Render etc.)
 // -------------------------------------------------------------
@@ -7864,5 +13169,7 @@ app.action('cycle_quality', async ({ ack, body, client }) => {
   } catch (_) {}
   const port = process.env.PORT || 3000;
   await app.start(port);
+  startSavedSearchScheduler(app.client);
+  startDigestScheduler(app.client);
   console.log('⚡️ voices-bot is running on port ' + port);
 })();